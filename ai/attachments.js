@@ -0,0 +1,138 @@
+// Text files attached to ULTRA AI messages:
+//
+//   <script src="/ai/attachments.js"></script>
+//   const attachment = await UBGChatAttachments.read(file, maxChars);
+//   const wire = UBGChatAttachments.expand(UBGChatHistory.path(conversation));
+//
+// Files are read in the browser and kept on the user message they were
+// sent with:
+//
+//   attachments: [{ name, size, chunks: ['…'], truncated? }]
+//
+// The server takes short messages only, so each file is split at line
+// breaks into chunks, and expand() sends every chunk as a user message of
+// its own right before the message it came with. Long message text is split
+// the same way when it is sent, its last part keeping the message's id.
+// Chunk messages get ids like `<message id>:<n>`, so a summary (see
+// ai/context.js) can end part way through a file or message.
+(function () {
+  const EXTENSIONS = [
+    'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'log', 'xml', 'yml', 'yaml', 'toml', 'ini',
+    'js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx', 'py', 'java', 'c', 'h', 'cpp', 'hpp', 'cs', 'go', 'rs',
+    'rb', 'php', 'lua', 'sh', 'sql', 'html', 'css',
+  ];
+  const ACCEPT = EXTENSIONS.map(extension => '.' + extension).join(',');
+  const MAX_FILES = 10;
+  // Bigger files are refused before reading; smaller ones are cut to fit
+  const MAX_FILE_BYTES = 2 * 1024 * 1024;
+  // Characters of file text per message, and at most this share of the
+  // model's context (4 characters a token, as in ai/context.js)
+  const MAX_CHARS = 60000;
+  const CONTEXT_SHARE = 0.4;
+  const CHARS_PER_TOKEN = 4;
+  // Leaves room for the heading and fences under the server's 8000
+  const CHUNK_CHARS = 6000;
+
+  function extensionOf(name) {
+    const dot = name.lastIndexOf('.');
+    return dot < 0 ? '' : name.slice(dot + 1).toLowerCase();
+  }
+
+  // Characters of file text one message may carry for a `limit`-token context
+  function budget(limit) {
+    return Number.isFinite(limit) ? Math.max(0, Math.min(MAX_CHARS, Math.floor(limit * CONTEXT_SHARE * CHARS_PER_TOKEN))) : MAX_CHARS;
+  }
+
+  function totalChars(attachments) {
+    return attachments.reduce((total, attachment) => total + attachment.chunks.join('').length, 0);
+  }
+
+  // Pieces of at most CHUNK_CHARS, ending at line breaks where possible
+  function chunk(text) {
+    const chunks = [];
+    let rest = text;
+    while (rest.length > CHUNK_CHARS) {
+      const cut = rest.lastIndexOf('\n', CHUNK_CHARS - 1) + 1 || CHUNK_CHARS;
+      chunks.push(rest.slice(0, cut));
+      rest = rest.slice(cut);
+    }
+    if (rest) chunks.push(rest);
+    return chunks;
+  }
+
+  /**
+   * Read a text file into an attachment, keeping at most `maxChars` of it.
+   * Throws an Error saying why when the file cannot be attached.
+   */
+  async function read(file, maxChars = MAX_CHARS) {
+    if (!EXTENSIONS.includes(extensionOf(file.name))) throw new Error(`${file.name} is not a text file`);
+    if (file.size > MAX_FILE_BYTES) throw new Error(`${file.name} is larger than ${formatSize(MAX_FILE_BYTES)}`);
+    if (maxChars <= 0) throw new Error(`No room left for ${file.name}`);
+
+    let text = (await file.text()).replace(/\r\n?/g, '\n');
+    if (text.includes('\u0000')) throw new Error(`${file.name} is not a text file`);
+    if (!text.trim()) throw new Error(`${file.name} is empty`);
+
+    const attachment = { name: file.name, size: file.size, chunks: [] };
+    if (text.length > maxChars) {
+      const cut = text.lastIndexOf('\n', maxChars - 1) + 1;
+      text = text.slice(0, cut > maxChars / 2 ? cut : maxChars);
+      attachment.truncated = true;
+    }
+    attachment.chunks = chunk(text);
+    return attachment;
+  }
+
+  // A fence longer than any run of backticks in the text
+  function fenceFor(text) {
+    const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(longest + 1);
+  }
+
+  function chunkContent(attachment, index) {
+    const text = attachment.chunks[index];
+    const part = attachment.chunks.length > 1 ? ` (part ${index + 1} of ${attachment.chunks.length})` : '';
+    const cut = attachment.truncated && index === attachment.chunks.length - 1 ? '\n\n(The rest of the file was left out.)' : '';
+    const fence = fenceFor(text);
+    return `Attached file ${attachment.name}${part}:\n\n${fence}${extensionOf(attachment.name)}\n${text.replace(/\n$/, '')}\n${fence}${cut}`;
+  }
+
+  function partContent(text, index, count) {
+    return count > 1 ? `(Part ${index + 1} of ${count} of a long message)\n\n${text}` : text;
+  }
+
+  /**
+   * The messages to send for a branch: `{ id, role, content }` with each
+   * attachment chunk before the message it belongs to, and text too long
+   * for one message in parts. A message that only carried files adds
+   * nothing of its own.
+   */
+  function expand(messages) {
+    return messages.flatMap(message => {
+      const parts = [];
+      let index = 0;
+      (message.attachments || []).forEach(attachment => {
+        attachment.chunks.forEach((text, part) => {
+          parts.push({ id: `${message.id}:${index++}`, role: message.role, content: chunkContent(attachment, part) });
+        });
+      });
+      if (message.content.trim() || !parts.length) {
+        const pieces = message.content.length > CHUNK_CHARS ? chunk(message.content) : [message.content];
+        pieces.forEach((text, part) => {
+          const content = partContent(text, part, pieces.length);
+          if (part < pieces.length - 1) parts.push({ id: `${message.id}:${index++}`, role: message.role, content });
+          else parts.push(pieces.length > 1 ? { ...message, content } : message);
+        });
+      }
+      return parts;
+    });
+  }
+
+  function formatSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + ' KB';
+    return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+  }
+
+  window.UBGChatAttachments = { ACCEPT, MAX_FILES, budget, totalChars, read, chunk, expand, formatSize };
+})();
@@ -0,0 +1,85 @@
+// Context budgeting for ULTRA AI chats:
+//
+//   <script src="/ai/context.js"></script>
+//   const plan = UBGChatContext.plan(conversation.messages, { limit, summary });
+//
+// A model only sees so many tokens, so long chats cannot be sent whole.
+// The newest turns are sent as they are; once they outgrow the budget the
+// older ones are folded into a running summary (made by the server, and
+// stored with the conversation as `{ throughId, content }`) that is sent
+// in their place. Token counts are estimates, matching server/lib/tokens.js.
+(function () {
+  const CHARS_PER_TOKEN = 4;
+  const MESSAGE_OVERHEAD_TOKENS = 4;
+  // The server takes at most this many messages per request
+  const MAX_MESSAGES = 100;
+  // When the budget is hit, keep this share of it for recent turns, so
+  // the summary is not redone on every following turn
+  const KEEP_SHARE = 0.6;
+  // Room left for the summary that replaces the older turns (the server
+  // asks for at most 400 tokens), or a fifth of a small budget
+  const SUMMARY_RESERVE_TOKENS = 400;
+  const SUMMARY_RESERVE_SHARE = 0.2;
+
+  function estimateTokens(text) {
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+  }
+
+  function messageTokens(message) {
+    return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  function totalTokens(messages) {
+    return messages.reduce((total, message) => total + messageTokens(message), 0);
+  }
+
+  // The summary only counts while the message it ends at is still in the chat
+  function usableSummary(messages, summary) {
+    if (!summary) return null;
+    const index = messages.findIndex(message => message.id === summary.throughId);
+    return index < 0 ? null : { ...summary, index };
+  }
+
+  /**
+   * Decide what to send. `limit` is the token budget for the summary and
+   * the turns (the context length less the reply and system prompt).
+   * Returns `{ recent, toSummarize, summary, tokens, limit }`: `recent` go
+   * out as they are, after `toSummarize` has been folded into the summary.
+   */
+  function plan(messages, { limit = Infinity, summary = null } = {}) {
+    const current = usableSummary(messages, summary);
+    const pending = current ? messages.slice(current.index + 1) : messages;
+    const summaryTokens = current ? messageTokens(current) : 0;
+    const tokens = summaryTokens + totalTokens(pending);
+
+    if (tokens <= limit && pending.length <= MAX_MESSAGES) {
+      return { recent: pending, toSummarize: [], summary: current, tokens, limit };
+    }
+
+    const reserve = Math.min(SUMMARY_RESERVE_TOKENS, Math.round(limit * SUMMARY_RESERVE_SHARE));
+    const budget = Math.max(limit * KEEP_SHARE - reserve, 0);
+    let start = pending.length - 1;
+    let kept = messageTokens(pending[start]);
+    while (start > 0 && pending.length - start < MAX_MESSAGES / 2) {
+      const next = messageTokens(pending[start - 1]);
+      if (kept + next > budget) break;
+      kept += next;
+      start--;
+    }
+    return {
+      recent: pending.slice(start),
+      toSummarize: pending.slice(0, start),
+      summary: current,
+      tokens: kept + reserve,
+      limit,
+    };
+  }
+
+  // Compact counts for the context meter: 950, 1.2k, 128k
+  function formatTokens(count) {
+    if (count < 1000) return String(count);
+    return (count < 10000 ? (count / 1000).toFixed(1) : Math.round(count / 1000)) + 'k';
+  }
+
+  window.UBGChatContext = { MAX_MESSAGES, estimateTokens, plan, formatTokens };
+})();
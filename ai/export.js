@@ -0,0 +1,227 @@
+// Conversation export and import for ULTRA AI:
+//
+//   <script src="/ai/export.js"></script>
+//   const text = UBGChatExport.markdown(conversation, { presetName });
+//   const json = UBGChatExport.json(conversation);
+//   const fields = UBGChatExport.parse(json);  // throws on bad input
+//
+// Markdown is for reading and holds the branch on screen. JSON holds every
+// branch, so an import looks the same as the chat did:
+//
+//   { format: 'ubg-ai-chat', version: 1, exportedAt, title, preset,
+//     createdAt, updatedAt, currentId, summary?,
+//     messages: [{ id, parentId, role, content, createdAt, model?, interrupted?, stopped?,
+//                  attachments?, games?, blocked?, refusal?, warning? }] }
+//
+// Bump VERSION when that shape changes, and keep parse() reading the old ones.
+// Version 2 added `attachments` (see ai/attachments.js), version 3 the
+// `games` a reply showed as cards, version 4 the moderation marks.
+(function () {
+  const FORMAT = 'ubg-ai-chat';
+  const VERSION = 4;
+  const MAX_MESSAGES = 5000;
+  // Text longer than the server takes in one message goes in parts (see
+  // ai/attachments.js); a summary has to fit the server's limit as it is
+  const MAX_CONTENT_LENGTH = 100000;
+  const MAX_SUMMARY_LENGTH = 4000;
+  const MAX_TITLE_LENGTH = 200;
+  const MAX_NAME_LENGTH = 255;
+
+  function pad(number) {
+    return String(number).padStart(2, '0');
+  }
+
+  // Local time, e.g. 2026-10-19 14:03
+  function formatTime(ms) {
+    const date = new Date(ms);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  function markdown(conversation, { presetName = conversation.preset } = {}) {
+    const lines = [`# ${conversation.title || 'New chat'}`, ''];
+    const about = [`Exported from ULTRA AI on ${formatTime(Date.now())}`];
+    if (presetName) about.push(`Persona: ${presetName}`);
+    lines.push(`*${about.join(' · ')}*`, '');
+
+    UBGChatHistory.path(conversation).forEach(message => {
+      const heading = [message.role === 'user' ? 'You' : 'ULTRA AI', formatTime(message.createdAt)];
+      if (message.model) heading.push(message.model);
+      lines.push(`## ${heading.join(' · ')}`, '');
+      if (message.attachments) {
+        const files = message.attachments.map(file => `${file.name} (${UBGChatAttachments.formatSize(file.size)}${file.truncated ? ', cut short' : ''})`);
+        lines.push(`📎 ${files.join(', ')}`, '');
+      }
+      if (message.content.trim()) lines.push(message.content.trim(), '');
+      if (message.games) {
+        message.games.forEach(game => lines.push(`- 🎮 [${game.name}](/games/?id=${encodeURIComponent(game.id)})`));
+        lines.push('');
+      }
+      if (message.interrupted) lines.push(message.stopped ? '> ⏹ Stopped' : '> ⚠️ Interrupted', '');
+      if (message.blocked) lines.push('> 🚫 Not sent', '');
+      if (message.warning) lines.push(`> ⚠️ ${message.warning}`, '');
+    });
+    return lines.join('\n');
+  }
+
+  function json(conversation) {
+    const data = {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: Date.now(),
+      title: conversation.title,
+      preset: conversation.preset || null,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      currentId: conversation.currentId,
+      messages: conversation.messages.map(message => {
+        const copy = { id: message.id, parentId: message.parentId, role: message.role, content: message.content, createdAt: message.createdAt };
+        for (const key of ['model', 'interrupted', 'stopped', 'attachments', 'games', 'blocked', 'refusal', 'warning']) {
+          if (message[key] !== undefined) copy[key] = message[key];
+        }
+        return copy;
+      }),
+    };
+    if (conversation.summary) data.summary = conversation.summary;
+    return JSON.stringify(data, null, 2);
+  }
+
+  // A title-based file name, e.g. ultra-ai-sorting-in-python.md
+  function fileName(conversation, extension) {
+    const slug = (conversation.title || 'chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+    return `ultra-ai-${slug || 'chat'}.${extension}`;
+  }
+
+  function fail(message) {
+    throw new Error(message);
+  }
+
+  function isTime(value) {
+    return Number.isFinite(value) && value > 0;
+  }
+
+  function parseAttachments(attachments, where) {
+    if (!Array.isArray(attachments) || !attachments.length) fail(`${where} has invalid attachments`);
+    return attachments.map(file => {
+      if (!file || typeof file.name !== 'string' || !file.name || file.name.length > MAX_NAME_LENGTH) fail(`${where} has an attachment without a name`);
+      if (!Number.isInteger(file.size) || file.size < 0) fail(`${where} has an attachment without a size`);
+      if (!Array.isArray(file.chunks) || file.chunks.some(text => typeof text !== 'string') || !file.chunks.join('')) {
+        fail(`${where} has an attachment without text`);
+      }
+      if (file.chunks.join('').length > MAX_CONTENT_LENGTH) fail(`${where} has an attachment longer than ${MAX_CONTENT_LENGTH} characters`);
+      // Split again, so no chunk is longer than the server takes
+      const copy = { name: file.name, size: file.size, chunks: UBGChatAttachments.chunk(file.chunks.join('')) };
+      if (file.truncated === true) copy.truncated = true;
+      return copy;
+    });
+  }
+
+  function parseGames(games, where) {
+    if (!Array.isArray(games) || !games.length) fail(`${where} has invalid games`);
+    return games.map(game => {
+      if (!game || !['number', 'string'].includes(typeof game.id) || typeof game.name !== 'string' || !game.name) {
+        fail(`${where} has a game without an id or name`);
+      }
+      const copy = { id: game.id, name: game.name.slice(0, MAX_NAME_LENGTH) };
+      if (Array.isArray(game.tags)) copy.tags = game.tags.filter(tag => typeof tag === 'string');
+      if (typeof game.cover === 'string') copy.cover = game.cover;
+      if (game.opened === true) copy.opened = true;
+      return copy;
+    });
+  }
+
+  // Summaries may end in an attachment chunk, `<message id>:<n>`
+  function mapThroughId(ids, throughId) {
+    if (typeof throughId !== 'string') return null;
+    const [id, part] = throughId.split(':');
+    if (!ids.has(id)) return null;
+    return part === undefined ? ids.get(id) : `${ids.get(id)}:${part}`;
+  }
+
+  /**
+   * Check an exported JSON file and return the fields for a new
+   * conversation: `{ title, createdAt, updatedAt, currentId, messages,
+   * preset?, summary? }`, with fresh message ids. Throws an Error saying
+   * what is wrong otherwise.
+   */
+  function parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      fail('The file is not JSON');
+    }
+    if (!data || data.format !== FORMAT) fail('The file is not an ULTRA AI chat export');
+    if (!Number.isInteger(data.version) || data.version < 1) fail('The export has no valid version');
+    if (data.version > VERSION) fail('The export is from a newer version of ULTRA AI');
+    if (!Array.isArray(data.messages) || !data.messages.length) fail('The export has no messages');
+    if (data.messages.length > MAX_MESSAGES) fail(`Exports can have at most ${MAX_MESSAGES} messages`);
+    if (data.title != null && typeof data.title !== 'string') fail('The title must be text');
+    if (data.preset != null && (typeof data.preset !== 'string' || data.preset.length > 60)) fail('The preset must be an id');
+
+    // New ids, so importing the same file twice gives two separate chats
+    const ids = new Map();
+    const messages = data.messages.map((message, index) => {
+      const where = `Message ${index + 1}`;
+      if (!message || typeof message !== 'object') fail(`${where} is not an object`);
+      if (typeof message.id !== 'string' || !message.id || ids.has(message.id)) fail(`${where} needs a unique id`);
+      if (message.role !== 'user' && message.role !== 'assistant') fail(`${where} must be from the user or the assistant`);
+      if (typeof message.content !== 'string') fail(`${where} has no text`);
+      if (message.content.length > MAX_CONTENT_LENGTH) fail(`${where} is longer than ${MAX_CONTENT_LENGTH} characters`);
+      if (!isTime(message.createdAt)) fail(`${where} has no valid timestamp`);
+      if (message.model != null && typeof message.model !== 'string') fail(`${where} has an invalid model`);
+
+      // Parents come first; a missing parentId continues the line above
+      const parent = message.parentId === undefined ? data.messages[index - 1]?.id ?? null : message.parentId;
+      if (parent !== null && !ids.has(parent)) fail(`${where} answers a message that comes after it or is missing`);
+
+      const id = UBGChatHistory.newId();
+      ids.set(message.id, id);
+      const copy = { id, parentId: parent === null ? null : ids.get(parent), role: message.role, content: message.content, createdAt: message.createdAt };
+      if (message.model) copy.model = message.model;
+      if (message.interrupted === true) copy.interrupted = true;
+      if (message.stopped === true) copy.stopped = true;
+      if (message.blocked === true) {
+        if (message.role !== 'user') fail(`${where} is a reply marked as blocked`);
+        copy.blocked = true;
+      }
+      if (message.refusal === true) {
+        if (message.role !== 'assistant') fail(`${where} is from the user but marked as a refusal`);
+        copy.refusal = true;
+      }
+      if (message.warning != null) {
+        if (typeof message.warning !== 'string' || message.warning.length > MAX_CONTENT_LENGTH) fail(`${where} has an invalid warning`);
+        copy.warning = message.warning;
+      }
+      if (message.attachments != null) {
+        if (message.role !== 'user') fail(`${where} is a reply with attachments`);
+        copy.attachments = parseAttachments(message.attachments, where);
+      }
+      if (message.games != null) {
+        if (message.role !== 'assistant') fail(`${where} is from the user but has games`);
+        copy.games = parseGames(message.games, where);
+      }
+      return copy;
+    });
+
+    const currentId = ids.get(data.currentId) || messages[messages.length - 1].id;
+    // A summary the server would refuse is dropped: the chat makes a new one
+    const throughId = data.summary ? mapThroughId(ids, data.summary.throughId) : null;
+    const summary = throughId && typeof data.summary.content === 'string' && data.summary.content.length <= MAX_SUMMARY_LENGTH
+      ? { throughId, content: data.summary.content }
+      : null;
+    const firstUser = messages.find(message => message.role === 'user');
+
+    const fields = {
+      title: (data.title || '').trim().slice(0, MAX_TITLE_LENGTH) || UBGChatHistory.titleFrom(firstUser ? firstUser.content || firstUser.attachments.map(file => file.name).join(', ') : ''),
+      createdAt: isTime(data.createdAt) ? data.createdAt : messages[0].createdAt,
+      updatedAt: isTime(data.updatedAt) ? data.updatedAt : messages[messages.length - 1].createdAt,
+      currentId,
+      messages,
+    };
+    if (data.preset) fields.preset = data.preset;
+    if (summary) fields.summary = summary;
+    return fields;
+  }
+
+  window.UBGChatExport = { FORMAT, VERSION, markdown, json, parse, fileName };
+})();
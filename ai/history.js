@@ -0,0 +1,178 @@
+// Conversation storage for ULTRA AI, kept in the browser's IndexedDB:
+//
+//   <script src="/ai/history.js"></script>
+//   const history = await UBGChatHistory.open(owner);
+//
+// Each conversation is one record:
+//
+//   { id, owner, title, pinned, createdAt, updatedAt, currentId, preset?,
+//     messages: [{ id, parentId, role, content, createdAt, model?, interrupted?, stopped?,
+//                  attachments?, games?, blocked?, refusal?, warning? }],
+//     summary?: { throughId, content } }
+//
+// Messages form a tree: editing a message or regenerating a reply adds a
+// sibling under the same parent instead of replacing it, so every branch
+// is kept. `currentId` is the last message of the branch on screen, and
+// path() walks back from it to the first message.
+//
+// `preset` is the persona the chat was held with (see /api/ai/presets).
+// `attachments` are the text files sent with a user message (see
+// ai/attachments.js).
+// `games` are the games a reply found with the server's tools, shown as
+// cards under it.
+// `blocked` marks a user message the server's moderation refused, and
+// `refusal` the friendly reply the chat showed in its place; neither is
+// sent to the model again. `warning` is a moderation notice shown with a
+// reply.
+// `summary` stands in for the messages up to and including `throughId`
+// once the chat has outgrown the model's context (see ai/context.js).
+//
+// Ids are random UUIDs and every record carries its owner (`user:<name>`
+// for accounts, `guest` for invite sessions) and an `updatedAt`, so the
+// history can later be merged into a server-side copy per account without
+// renumbering anything.
+(function () {
+  const DB_NAME = 'ubg-ai';
+  const DB_VERSION = 1;
+  const STORE = 'conversations';
+  const TITLE_MAX_LENGTH = 80;
+
+  let database = null;
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function connect() {
+    if (!database) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('owner', 'owner');
+      };
+      database = promisify(request);
+    }
+    return database;
+  }
+
+  async function transaction(mode, run) {
+    const db = await connect();
+    return promisify(run(db.transaction(STORE, mode).objectStore(STORE)));
+  }
+
+  function newId() {
+    return crypto.randomUUID();
+  }
+
+  // Session → storage owner; invite sessions have no account to sync to
+  function ownerFor(session) {
+    return session && session.user ? 'user:' + session.user.username : 'guest';
+  }
+
+  // A first-message title, like most chat apps use until renamed
+  function titleFrom(text) {
+    const line = String(text).replace(/\s+/g, ' ').trim();
+    return line.length > TITLE_MAX_LENGTH ? line.slice(0, TITLE_MAX_LENGTH - 1) + '…' : line || 'New chat';
+  }
+
+  // Records from before branching are one straight line of messages
+  function upgrade(conversation) {
+    if (!conversation || conversation.currentId !== undefined) return conversation;
+    conversation.messages.forEach((message, index) => {
+      message.parentId = index ? conversation.messages[index - 1].id : null;
+    });
+    const last = conversation.messages[conversation.messages.length - 1];
+    conversation.currentId = last ? last.id : null;
+    return conversation;
+  }
+
+  // The messages of the branch on screen, first to last
+  function path(conversation) {
+    const byId = new Map(conversation.messages.map(message => [message.id, message]));
+    const messages = [];
+    for (let message = byId.get(conversation.currentId); message; message = byId.get(message.parentId)) {
+      messages.unshift(message);
+    }
+    return messages;
+  }
+
+  // A message and its alternatives, oldest first
+  function siblings(conversation, message) {
+    return conversation.messages.filter(other => other.parentId === message.parentId);
+  }
+
+  // Add a message after `parentId` (default: the end of the branch on
+  // screen) and make it the end of that branch
+  function append(conversation, message, parentId = conversation.currentId) {
+    const added = { id: newId(), parentId: parentId || null, createdAt: Date.now(), ...message };
+    conversation.messages.push(added);
+    conversation.currentId = added.id;
+    return added;
+  }
+
+  // Show the branch through `id`, following its newest replies to the end
+  function switchTo(conversation, id) {
+    let currentId = id;
+    for (;;) {
+      const children = conversation.messages.filter(message => message.parentId === currentId);
+      if (!children.length) break;
+      currentId = children.reduce((a, b) => (b.createdAt >= a.createdAt ? b : a)).id;
+    }
+    conversation.currentId = currentId;
+  }
+
+  // Pinned first, then most recently used
+  function byPinnedThenRecent(a, b) {
+    return (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || b.updatedAt - a.updatedAt;
+  }
+
+  async function open(owner) {
+    await connect();
+
+    async function list() {
+      const conversations = await transaction('readonly', store => store.index('owner').getAll(owner));
+      return conversations.map(upgrade).sort(byPinnedThenRecent);
+    }
+
+    async function get(id) {
+      const conversation = await transaction('readonly', store => store.get(id));
+      return conversation && conversation.owner === owner ? upgrade(conversation) : null;
+    }
+
+    function create() {
+      const now = Date.now();
+      return { id: newId(), owner, title: '', pinned: false, createdAt: now, updatedAt: now, currentId: null, messages: [] };
+    }
+
+    // Saves the record as given; callers bump updatedAt when content changes
+    async function save(conversation) {
+      await transaction('readwrite', store => store.put({ ...conversation, owner }));
+      return conversation;
+    }
+
+    async function remove(id) {
+      if (await get(id)) await transaction('readwrite', store => store.delete(id));
+    }
+
+    // Case-insensitive match on titles, message text and file names
+    async function search(query) {
+      const needle = query.trim().toLowerCase();
+      const conversations = await list();
+      if (!needle) return conversations;
+      return conversations.filter(conversation =>
+        conversation.title.toLowerCase().includes(needle) ||
+        conversation.messages.some(message =>
+          message.content.toLowerCase().includes(needle) ||
+          (message.attachments || []).some(file => file.name.toLowerCase().includes(needle))
+        )
+      );
+    }
+
+    return { owner, list, get, create, save, remove, search };
+  }
+
+  window.UBGChatHistory = { open, ownerFor, titleFrom, newId, path, siblings, append, switchTo };
+})();
@@ -1,8 +1,28 @@
 import { registerSW } from "/prxy/register-sw.mjs";
 import * as BareMux from "/prxy/baremux/index.mjs";
 import { getFavicon, rAlert } from "./utils.mjs";
+import { onWispChange, wispUrl } from "./wisp.mjs";
 
 const connection = new BareMux.BareMuxConnection("/prxy/baremux/worker.js");
+const transport = "/prxy/libcurl/libcurl.mjs";
+// The Wisp server the transport was last set up with
+let transportWisp = null;
+
+async function useWisp(wisp) {
+  if ((await connection.getTransport()) !== transport || wisp !== transportWisp) {
+    await connection.setTransport(transport, [{ wisp }]);
+    transportWisp = wisp;
+  }
+}
+
+// Follow failovers and picks from the menu once browsing has started
+onWispChange(({ active }) => {
+  if (transportWisp && active && active !== transportWisp) {
+    useWisp(active).catch((err) => {
+      rAlert(`Failed to switch to ${new URL(active).host}.<br>${err.toString()}`);
+    });
+  }
+});
 
 export function search(input, template) {
   try {
@@ -28,17 +48,7 @@ export async function getUV(input) {
 
   let url = search(input, "https://html.duckduckgo.com/html?t=h_&q=%s");
 
-  let wispUrl = "wss://wisp.rhw.one/";
-  if ((await connection.getTransport()) !== "/prxy/epoxy/index.mjs") {
-    await connection.setTransport("/prxy/epoxy/index.mjs", [
-      { wisp: wispUrl },
-    ]);
-  }
-  if ((await connection.getTransport()) !== "/prxy/libcurl/libcurl.mjs") {
-    await connection.setTransport("/prxy/libcurl/libcurl.mjs", [
-      { wisp: wispUrl },
-    ]);
-  }
+  await useWisp(await wispUrl());
 
   let viewUrl = __uv$config.prefix + __uv$config.encodeUrl(url);
 
@@ -1,5 +1,6 @@
 import { getFavicon, rAlert } from "./utils.mjs";
 import { getUV, search } from "./prxy.mjs";
+import { onWispChange, probeAll, setPreferred } from "./wisp.mjs";
 
 const { span, iframe, button, img } = van.tags;
 const {
@@ -78,6 +79,57 @@ gitOption.onclick = () => {
   window.open("https://github.com/rhenryw/UV-Static-2.0", "_blank");
 };
 
+// Wisp server picker: automatic or a fixed server, with how each one is doing
+const wispOption = document.getElementById("wisp-option");
+const wispPanel = document.getElementById("wisp-panel");
+const wispList = document.getElementById("wisp-list");
+const wispRecheck = document.getElementById("wisp-recheck");
+
+wispOption.onclick = () => {
+  wispPanel.hidden = !wispPanel.hidden;
+};
+
+wispRecheck.onclick = () => {
+  probeAll();
+};
+
+function wispNote(endpoint) {
+  if (!endpoint || !endpoint.checkedAt) return "Checking…";
+  if (endpoint.status === "up") return `${endpoint.latency} ms`;
+  return endpoint.error;
+}
+
+function wispItem(label, endpoint, note, selected, onclick) {
+  return button(
+    { class: "wisp-item hover-focus2" + (selected ? " selected" : ""), onclick },
+    span({ class: "wisp-dot " + (endpoint?.status ?? "unknown") }),
+    span({ class: "wisp-name" }, label),
+    span({ class: "wisp-note" }, note)
+  );
+}
+
+onWispChange(({ endpoints, active, preferred }) => {
+  const current = endpoints.find((endpoint) => endpoint.url === active);
+  wispList.replaceChildren(
+    wispItem(
+      "Automatic",
+      current,
+      current ? new URL(current.url).host : "",
+      !preferred,
+      () => setPreferred(null)
+    ),
+    ...endpoints.map((endpoint) =>
+      wispItem(
+        new URL(endpoint.url).host + (endpoint.url === active ? " (in use)" : ""),
+        endpoint,
+        wispNote(endpoint),
+        endpoint.url === preferred,
+        () => setPreferred(endpoint.url)
+      )
+    )
+  );
+});
+
 urlForm.onsubmit = async (e) => {
   e.preventDefault();
   selectedTab.view.src = await getUV(urlInput.value);
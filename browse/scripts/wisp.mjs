@@ -0,0 +1,188 @@
+import { rAlert } from "./utils.mjs";
+
+// Used when the server can't be asked, e.g. on the static deploy
+const FALLBACK = { endpoints: ["wss://wisp.rhw.one/"], probeIntervalSeconds: 60 };
+const PROBE_TIMEOUT_MS = 5000;
+const STORAGE_KEY = "wispEndpoint";
+
+// { url, status: "unknown" | "up" | "down", latency, error, checkedAt }
+let endpoints = [];
+let active = null;
+// Whether the proxy has used `active` yet; switches before that go unannounced
+let inUse = false;
+let loading = null;
+let probing = null;
+const waiters = [];
+const listeners = new Set();
+
+function hostOf(url) {
+  return new URL(url).host;
+}
+
+function byUrl(url) {
+  return endpoints.find((endpoint) => endpoint.url === url);
+}
+
+async function loadConfig() {
+  try {
+    const res = await fetch("/api/browse/wisp", { credentials: "same-origin" });
+    const config = res.ok ? await res.json() : null;
+    if (config && Array.isArray(config.endpoints) && config.endpoints.length) {
+      return config;
+    }
+  } catch (err) {}
+  return FALLBACK;
+}
+
+// The server the user picked in the menu, or null for automatic
+export function getPreferred() {
+  const url = localStorage.getItem(STORAGE_KEY);
+  return byUrl(url) ? url : null;
+}
+
+export function setPreferred(url) {
+  if (url) localStorage.setItem(STORAGE_KEY, url);
+  else localStorage.removeItem(STORAGE_KEY);
+  settle(true);
+}
+
+export function wispState() {
+  return {
+    endpoints: endpoints.map((endpoint) => ({ ...endpoint })),
+    active,
+    preferred: getPreferred(),
+  };
+}
+
+// Called with wispState() whenever a probe comes back or the server changes
+export function onWispChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Opens a connection and waits for the server's first Wisp packet. Resolves
+// with the time that took in ms, or rejects when the server doesn't answer.
+export function probe(url, timeout = PROBE_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const started = performance.now();
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (err) {
+      return reject(err);
+    }
+    ws.binaryType = "arraybuffer";
+    const timer = setTimeout(() => finish(new Error("No answer")), timeout);
+
+    function finish(err) {
+      clearTimeout(timer);
+      ws.onmessage = ws.onerror = ws.onclose = null;
+      ws.close();
+      if (err) reject(err);
+      else resolve(Math.round(performance.now() - started));
+    }
+
+    ws.onmessage = (event) => {
+      // Wisp servers open with CONTINUE (v1) or INFO (v2)
+      const type = new Uint8Array(event.data)[0];
+      finish(type === 0x03 || type === 0x05 ? null : new Error("Not a Wisp server"));
+    };
+    ws.onerror = () => finish(new Error("Can't connect"));
+    ws.onclose = () => finish(new Error("Connection closed"));
+  });
+}
+
+// The picked server while it works, else the next one up after it in the
+// list. Automatically, stay on the current server while it works, else take
+// the fastest one that is up.
+function choose() {
+  const preferred = getPreferred();
+  if (preferred && byUrl(preferred).status !== "down") return preferred;
+
+  const up = endpoints.filter((endpoint) => endpoint.status === "up");
+  let next;
+  if (preferred) {
+    const start = endpoints.indexOf(byUrl(preferred));
+    const order = [...endpoints.slice(start + 1), ...endpoints.slice(0, start)];
+    next = order.find((endpoint) => endpoint.status === "up");
+  } else if (byUrl(active)?.status === "up") {
+    return active;
+  } else {
+    next = up.sort((a, b) => a.latency - b.latency)[0];
+  }
+  return next?.url ?? preferred ?? active ?? endpoints[0]?.url ?? null;
+}
+
+// Whether enough probes are back to choose: the picked server has answered,
+// or any server has when automatic, or every probe is done
+function decided() {
+  if (endpoints.every((endpoint) => endpoint.checkedAt)) return true;
+  const preferred = getPreferred();
+  if (preferred) return byUrl(preferred).status === "up";
+  return endpoints.some((endpoint) => endpoint.status === "up");
+}
+
+function settle(quiet = false) {
+  const previous = active;
+  active = choose();
+  if (!quiet && inUse && active !== previous && byUrl(previous)?.status === "down") {
+    rAlert(`${hostOf(previous)} is down.<br>Switched to ${hostOf(active)}.`);
+  }
+  const state = wispState();
+  listeners.forEach((listener) => listener(state));
+  if (decided()) waiters.splice(0).forEach((resolve) => resolve());
+}
+
+export function probeAll() {
+  probing ??= Promise.all(
+    endpoints.map(async (endpoint) => {
+      try {
+        endpoint.latency = await probe(endpoint.url);
+        endpoint.status = "up";
+        endpoint.error = null;
+      } catch (err) {
+        endpoint.latency = null;
+        endpoint.status = "down";
+        endpoint.error = err.message;
+      }
+      endpoint.checkedAt = Date.now();
+      settle();
+    })
+  ).finally(() => {
+    probing = null;
+  });
+  return probing;
+}
+
+// Load the list and start probing it, once per page
+export function startWisp() {
+  loading ??= loadConfig().then(({ endpoints: urls, probeIntervalSeconds }) => {
+    endpoints = urls.map((url) => ({
+      url,
+      status: "unknown",
+      latency: null,
+      error: null,
+      checkedAt: null,
+    }));
+    probeAll();
+    // setTimeout rather than setInterval: lstimer.js swallows some intervals
+    const every = Math.max(10, probeIntervalSeconds || 60) * 1000;
+    setTimeout(function recheck() {
+      if (!document.hidden) probeAll();
+      setTimeout(recheck, every);
+    }, every);
+  });
+  return loading;
+}
+
+// The Wisp server to proxy through. The first call waits for the probes
+// it needs to choose.
+export async function wispUrl() {
+  await startWisp();
+  if (!decided()) await new Promise((resolve) => waiters.push(resolve));
+  if (byUrl(active)?.status === "down") {
+    rAlert("No Wisp server is answering.<br>Pages may not load.");
+  }
+  inUse = true;
+  return active;
+}
@@ -0,0 +1,136 @@
+import { HttpError, redirect, sendError } from './lib/http.js';
+import { Router } from './lib/router.js';
+import { createStaticHandler, pathSegments } from './lib/static.js';
+import { createAi } from './services/ai.js';
+import { createAudit } from './services/audit.js';
+import { createChatTools } from './services/chat-tools.js';
+import { createGames } from './services/games.js';
+import { createInvites } from './services/invites.js';
+import { createModeration } from './services/moderation.js';
+import { createPresets } from './services/presets.js';
+import { createRoles } from './services/roles.js';
+import { createSessions } from './services/sessions.js';
+import { createShares } from './services/shares.js';
+import { createStatus } from './services/status.js';
+import { createThrottle } from './services/throttle.js';
+import { createTwoFactor } from './services/twofactor.js';
+import { createUsage } from './services/usage.js';
+import { createUsers } from './services/users.js';
+import { createWisp } from './services/wisp.js';
+import { registerAccountRoutes } from './routes/accounts.js';
+import { registerAdminRoutes } from './routes/admin.js';
+import { registerAuthRoutes } from './routes/auth.js';
+import { registerBrowseRoutes } from './routes/browse.js';
+import { registerChatRoutes } from './routes/chat.js';
+import { registerModerationRoutes } from './routes/moderation.js';
+import { registerPresetRoutes } from './routes/presets.js';
+import { registerSessionRoutes } from './routes/sessions.js';
+import { registerShareRoutes } from './routes/shares.js';
+import { registerStatusRoutes } from './routes/status.js';
+import { registerTwoFactorRoutes } from './routes/twofactor.js';
+import { registerUsageRoutes } from './routes/usage.js';
+
+// Sections of the site that need an active session
+export const PROTECTED_SECTIONS = ['home', 'ai', 'games', 'browse', 'sessions', 'admin', 'share'];
+
+// Top-level directories under the public root that must never be served
+const PRIVATE_PATHS = ['server', 'node_modules'];
+
+/**
+ * Build the request handler: `/api/*` goes to the router, everything else
+ * is a static file from the site root, gated by session for protected
+ * sections.
+ */
+export function createApp(config) {
+  const invites = createInvites(config);
+  const users = createUsers(config);
+  const sessions = createSessions(config, { invites, users });
+  const audit = createAudit(config);
+  const throttle = createThrottle(config, { audit });
+  const registrationThrottle = createThrottle(config, { audit });
+  const otpThrottle = createThrottle(config, { audit });
+  const roles = createRoles(config, { users, invites });
+  const status = createStatus(config);
+  const twoFactor = createTwoFactor(config);
+  const ai = createAi(config);
+  const usage = createUsage(config);
+  const presets = createPresets(config);
+  const games = createGames(config);
+  const chatTools = createChatTools(config, { games });
+  const moderation = createModeration(config, { ai });
+  const shares = createShares(config);
+  const wisp = createWisp(config);
+  const router = new Router();
+  const services = { config, invites, users, sessions, audit, throttle, registrationThrottle, otpThrottle, roles, status, twoFactor, ai, usage, presets, games, chatTools, moderation, shares, wisp };
+
+  registerAuthRoutes(router, services);
+  registerAccountRoutes(router, services);
+  registerSessionRoutes(router, services);
+  registerAdminRoutes(router, services);
+  registerStatusRoutes(router, services);
+  registerTwoFactorRoutes(router, services);
+  registerChatRoutes(router, services);
+  registerPresetRoutes(router, services);
+  registerUsageRoutes(router, services);
+  registerModerationRoutes(router, services);
+  registerShareRoutes(router, services);
+  registerBrowseRoutes(router, services);
+
+  const serveStatic = createStaticHandler({ root: config.publicDir, deny: PRIVATE_PATHS });
+
+  async function handleApi(req, res, url) {
+    const match = router.match(req.method, url.pathname);
+    if (!match) {
+      throw new HttpError(404, 'not_found', 'Unknown API route');
+    }
+    if (!match.handler) {
+      res.setHeader('Allow', match.allowed.join(', '));
+      throw new HttpError(405, 'method_not_allowed', 'Method not allowed');
+    }
+    await match.handler(req, res, { params: match.params, url });
+  }
+
+  // Sliding renewal: every request counts as activity except the
+  // background checks made by /shared/auth.js and /shared/status.js
+  function renewOnActivity(req, res, url) {
+    if (url.searchParams.has('poll')) return;
+    const session = sessions.fromRequest(req);
+    const renewal = session && sessions.renewIfDue(session);
+    if (renewal) res.setHeader('Set-Cookie', renewal.cookie);
+  }
+
+  return async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      renewOnActivity(req, res, url);
+      if (url.pathname.startsWith('/api/')) {
+        return await handleApi(req, res, url);
+      }
+
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'method_not_allowed', 'Method not allowed');
+      }
+
+      // Decoded the way serveStatic() decodes it, so /%68ome/ is /home/ here too
+      const section = pathSegments(url.pathname)[0];
+      if (PROTECTED_SECTIONS.includes(section)) {
+        const session = sessions.fromRequest(req);
+        if (!session) {
+          // The landing page hands `next` to the shared auth guard, which
+          // sends the user back here once they have activated
+          return redirect(res, '/?next=' + encodeURIComponent(url.pathname + url.search));
+        }
+        if (!roles.allowsSection(roles.roleOf(session), section)) {
+          return redirect(res, '/home/?denied=' + encodeURIComponent(section));
+        }
+      }
+
+      return serveStatic(req, res, url.pathname);
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(err);
+      if (res.headersSent) return res.destroy();
+      sendError(res, err);
+    }
+  };
+}
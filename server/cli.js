@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { loadConfig } from './config.js';
+import { createAudit } from './services/audit.js';
+import { createInvites, inviteStatus } from './services/invites.js';
+import { INVITE_ROLES, ROLES } from './services/roles.js';
+import { createStatus, validateStatus } from './services/status.js';
+import { createTwoFactor } from './services/twofactor.js';
+import { createUsers } from './services/users.js';
+
+const USAGE = `Usage: node cli.js <group> <command> [options]
+
+  invites create [--label <text>] [--max-uses <n>] [--expires <date|7d|12h>]
+                 [--role member|restricted]
+  invites list [--all]
+  invites revoke <id>
+
+  users list [--pending]
+  users approve <username>
+  users reject <username>
+  users disable <username>
+  users role <username> admin|member|restricted
+  users reset-2fa <username>
+
+  status show
+  status set normal|degraded|maintenance [--message <text>] [--until <date|2h>]
+
+  audit list [--type login_failed|otp_failed|lockout|...] [--limit <n>]
+`;
+
+const DURATION_UNITS = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 };
+
+/**
+ * Turn `7d`, `12h`, `30m`, `2w` or an ISO date into a ms timestamp.
+ */
+function parseExpiry(value) {
+  const duration = /^(\d+)([mhdw])$/.exec(value);
+  if (duration) {
+    return Date.now() + Number(duration[1]) * DURATION_UNITS[duration[2]];
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) throw new Error(`Cannot parse expiry "${value}"`);
+  return date;
+}
+
+function formatDate(ms) {
+  return ms ? new Date(ms).toISOString().replace('T', ' ').slice(0, 16) : '-';
+}
+
+function printTable(rows, columns) {
+  const widths = columns.map(col => Math.max(col.length, ...rows.map(row => String(row[col]).length)));
+  const line = values => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(columns));
+  rows.forEach(row => console.log(line(columns.map(col => row[col]))));
+}
+
+const commands = {
+  invites: {
+    create(services, args) {
+      const { values } = parseArgs({
+        args,
+        options: {
+          label: { type: 'string', default: '' },
+          'max-uses': { type: 'string' },
+          expires: { type: 'string' },
+          role: { type: 'string', default: 'member' },
+        },
+      });
+      if (!INVITE_ROLES.includes(values.role)) {
+        throw new Error(`--role must be one of: ${INVITE_ROLES.join(', ')}`);
+      }
+      const maxUses = values['max-uses'] ? Number(values['max-uses']) : null;
+      if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0)) {
+        throw new Error('--max-uses must be a positive whole number');
+      }
+      const invite = services.invites.create({
+        label: values.label,
+        maxUses,
+        expiresAt: values.expires ? parseExpiry(values.expires) : null,
+        role: values.role,
+      });
+      console.log(`Created invite ${invite.id}${invite.label ? ` (${invite.label})` : ''}`);
+      console.log(`Code: ${invite.code}`);
+      console.log('The code is not stored in plain text; copy it now.');
+    },
+
+    list(services, args) {
+      const { values } = parseArgs({ args, options: { all: { type: 'boolean', default: false } } });
+      const rows = services.invites.list()
+        .map(invite => ({
+          id: invite.id,
+          label: invite.label || '-',
+          role: invite.role || 'member',
+          status: inviteStatus(invite),
+          uses: `${invite.uses}/${invite.maxUses ?? '∞'}`,
+          expires: formatDate(invite.expiresAt),
+          created: formatDate(invite.createdAt),
+        }))
+        .filter(row => values.all || row.status === 'active');
+      if (!rows.length) return console.log('No invites.');
+      printTable(rows, ['id', 'label', 'role', 'status', 'uses', 'expires', 'created']);
+    },
+
+    revoke(services, [id]) {
+      if (!id) throw new Error('Usage: invites revoke <id>');
+      const invite = services.invites.revoke(id);
+      if (!invite) throw new Error(`No invite with id ${id}`);
+      console.log(`Revoked invite ${invite.id}; its sessions are signed out.`);
+    },
+  },
+
+  users: {
+    list(services, args) {
+      const { values } = parseArgs({ args, options: { pending: { type: 'boolean', default: false } } });
+      const rows = services.users.list()
+        .filter(user => !values.pending || user.status === 'pending')
+        .map(user => ({
+          username: user.username,
+          status: user.status,
+          role: user.role || 'member',
+          '2fa': services.twoFactor.isEnabled(user.id) ? 'on' : '-',
+          requested: formatDate(user.createdAt),
+          reviewed: formatDate(user.reviewedAt),
+        }));
+      if (!rows.length) return console.log(values.pending ? 'No pending requests.' : 'No users.');
+      printTable(rows, ['username', 'status', 'role', '2fa', 'requested', 'reviewed']);
+    },
+
+    approve(services, [username]) {
+      setUserStatus(services, username, 'active', 'Approved');
+    },
+
+    reject(services, [username]) {
+      setUserStatus(services, username, 'rejected', 'Rejected');
+    },
+
+    disable(services, [username]) {
+      setUserStatus(services, username, 'disabled', 'Disabled');
+    },
+
+    role(services, [username, role]) {
+      if (!username || !ROLES.includes(role)) {
+        throw new Error(`Usage: users role <username> ${ROLES.join('|')}`);
+      }
+      const user = services.users.setRole(username, role);
+      if (!user) throw new Error(`No user named ${username}`);
+      console.log(`${user.username} is now ${role}.`);
+    },
+
+    'reset-2fa'(services, [username]) {
+      if (!username) throw new Error('Usage: users reset-2fa <username>');
+      const user = services.users.findByUsername(username);
+      if (!user) throw new Error(`No user named ${username}`);
+      if (!services.twoFactor.disable(user.id)) {
+        throw new Error(`${user.username} does not have two-factor authentication set up`);
+      }
+      services.audit.record('two_factor_reset', { username: user.username, by: 'cli' });
+      console.log(`Turned off two-factor authentication for ${user.username}; they can set it up again from /admin.`);
+    },
+  },
+
+  status: {
+    show(services) {
+      const { mode, message, endsAt } = services.status.current();
+      console.log(`Mode: ${mode}`);
+      if (message) console.log(`Message: ${message}`);
+      if (endsAt) console.log(`Until: ${formatDate(endsAt)}`);
+    },
+
+    set(services, args) {
+      const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+          message: { type: 'string', default: '' },
+          until: { type: 'string' },
+        },
+      });
+      const update = {
+        mode: positionals[0],
+        message: values.message,
+        endsAt: values.until ? parseExpiry(values.until) : null,
+      };
+      const problem = validateStatus(update);
+      if (problem) throw new Error(problem);
+      services.status.set(update, 'cli');
+      services.audit.record('status_changed', { mode: update.mode, by: 'cli' });
+      commands.status.show(services);
+    },
+  },
+
+  audit: {
+    list(services, args) {
+      const { values } = parseArgs({
+        args,
+        options: {
+          type: { type: 'string' },
+          limit: { type: 'string', default: '50' },
+        },
+      });
+      const entries = services.audit.list({ type: values.type, limit: Number(values.limit) || 50 });
+      if (!entries.length) return console.log('No audit entries.');
+      const rows = entries.map(({ at, type, ip, fingerprint, ...details }) => ({
+        time: formatDate(at),
+        type,
+        ip: ip || '-',
+        fingerprint: fingerprint || '-',
+        details: Object.entries(details).map(([key, value]) => `${key}=${value}`).join(' ') || '-',
+      }));
+      printTable(rows, ['time', 'type', 'ip', 'fingerprint', 'details']);
+    },
+  },
+};
+
+function setUserStatus(services, username, status, verb) {
+  if (!username) throw new Error('A username is required');
+  const user = services.users.setStatus(username, status);
+  if (!user) throw new Error(`No user named ${username}`);
+  console.log(`${verb} ${user.username}.`);
+}
+
+async function main(argv) {
+  const [group, command, ...args] = argv;
+  const handler = commands[group]?.[command];
+  if (!handler) {
+    process.stderr.write(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const config = loadConfig();
+  const services = {
+    config,
+    invites: createInvites(config),
+    users: createUsers(config),
+    audit: createAudit(config),
+    status: createStatus(config),
+    twoFactor: createTwoFactor(config),
+  };
+  try {
+    await handler(services, args);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2));
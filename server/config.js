@@ -0,0 +1,137 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+export const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Every setting the server understands, with its default value.
+// The type of the default decides how the matching env variable is parsed.
+const DEFAULTS = {
+  host: '0.0.0.0',
+  port: 8080,
+  publicDir: path.resolve(SERVER_DIR, '..'),
+  dataDir: path.join(SERVER_DIR, 'data'),
+  sessionSecret: '',
+  sessionTtlHours: 7 * 24,
+  sessionRenewWindowHours: 24,
+  sessionMaxHours: 30 * 24,
+  secureCookies: false,
+  trustProxy: false,
+  loginMaxFailures: 5,
+  loginBackoffBaseSeconds: 1,
+  loginBackoffMaxSeconds: 60,
+  loginLockoutMinutes: 15,
+  totpIssuer: 'UBG Ultra',
+  // Any OpenAI-compatible chat completions API; the key never reaches browsers
+  aiBaseUrl: 'https://api.groq.com/openai/v1',
+  aiApiKey: '',
+  aiModel: 'openai/gpt-oss-20b',
+  aiModels: '',
+  // Local model servers, off while empty
+  ollamaBaseUrl: '',
+  llamaCppBaseUrl: '',
+  aiMockProvider: false,
+  aiSystemPrompt: 'You are ULTRA AI, a helpful assistant from UBG ULTRA. You are intelligent, friendly, and always refer to yourself as ULTRA AI. Keep responses concise and helpful.',
+  aiMaxTokens: 500,
+  aiTemperature: 0.7,
+  aiContextLength: 8192,
+  aiTimeoutSeconds: 60,
+  // Lets the chat model search the games catalog and link to games
+  aiTools: true,
+  // Screens chat messages and replies (see services/moderation.js)
+  aiModeration: true,
+  // The catalog games/script.js loads
+  gamesCatalogUrl: 'https://cdn.jsdelivr.net/gh/%67%6e%2d%6d%61%74%68/assets@main/zones.json',
+  // Wisp servers Browse proxies through, comma-separated, in order of preference
+  wispEndpoints: 'wss://wisp.rhw.one/',
+  wispProbeIntervalSeconds: 60,
+};
+
+// Environment variables that override config.json
+const ENV_KEYS = {
+  host: 'UBG_HOST',
+  port: 'UBG_PORT',
+  publicDir: 'UBG_PUBLIC_DIR',
+  dataDir: 'UBG_DATA_DIR',
+  sessionSecret: 'UBG_SESSION_SECRET',
+  sessionTtlHours: 'UBG_SESSION_TTL_HOURS',
+  sessionRenewWindowHours: 'UBG_SESSION_RENEW_WINDOW_HOURS',
+  sessionMaxHours: 'UBG_SESSION_MAX_HOURS',
+  secureCookies: 'UBG_SECURE_COOKIES',
+  trustProxy: 'UBG_TRUST_PROXY',
+  loginMaxFailures: 'UBG_LOGIN_MAX_FAILURES',
+  loginBackoffBaseSeconds: 'UBG_LOGIN_BACKOFF_BASE_SECONDS',
+  loginBackoffMaxSeconds: 'UBG_LOGIN_BACKOFF_MAX_SECONDS',
+  loginLockoutMinutes: 'UBG_LOGIN_LOCKOUT_MINUTES',
+  totpIssuer: 'UBG_TOTP_ISSUER',
+  aiBaseUrl: 'UBG_AI_BASE_URL',
+  aiApiKey: 'UBG_AI_API_KEY',
+  aiModel: 'UBG_AI_MODEL',
+  aiModels: 'UBG_AI_MODELS',
+  ollamaBaseUrl: 'UBG_OLLAMA_BASE_URL',
+  llamaCppBaseUrl: 'UBG_LLAMACPP_BASE_URL',
+  aiMockProvider: 'UBG_AI_MOCK_PROVIDER',
+  aiSystemPrompt: 'UBG_AI_SYSTEM_PROMPT',
+  aiMaxTokens: 'UBG_AI_MAX_TOKENS',
+  aiTemperature: 'UBG_AI_TEMPERATURE',
+  aiContextLength: 'UBG_AI_CONTEXT_LENGTH',
+  aiTimeoutSeconds: 'UBG_AI_TIMEOUT_SECONDS',
+  aiTools: 'UBG_AI_TOOLS',
+  aiModeration: 'UBG_AI_MODERATION',
+  gamesCatalogUrl: 'UBG_GAMES_CATALOG_URL',
+  wispEndpoints: 'UBG_WISP_ENDPOINTS',
+  wispProbeIntervalSeconds: 'UBG_WISP_PROBE_INTERVAL_SECONDS',
+};
+
+function parseEnvValue(raw, fallback) {
+  if (typeof fallback === 'number') {
+    const num = Number(raw);
+    if (!Number.isFinite(num)) throw new Error(`Expected a number, got "${raw}"`);
+    return num;
+  }
+  if (typeof fallback === 'boolean') {
+    return raw === 'true' || raw === '1';
+  }
+  return raw;
+}
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Reuse the same secret across restarts so existing sessions stay valid
+function loadOrCreateSecret(dataDir) {
+  const file = path.join(dataDir, 'session-secret');
+  if (fs.existsSync(file)) {
+    return fs.readFileSync(file, 'utf8').trim();
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(file, secret + '\n', { mode: 0o600 });
+  return secret;
+}
+
+/**
+ * Build the server config from `config.json` (next to this file, or the
+ * path in UBG_CONFIG) with `UBG_*` environment variables taking precedence.
+ */
+export function loadConfig(env = process.env) {
+  const file = env.UBG_CONFIG || path.join(SERVER_DIR, 'config.json');
+  const config = { ...DEFAULTS, ...readConfigFile(file) };
+
+  for (const [key, name] of Object.entries(ENV_KEYS)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      config[key] = parseEnvValue(env[name], DEFAULTS[key]);
+    }
+  }
+
+  config.publicDir = path.resolve(SERVER_DIR, config.publicDir);
+  config.dataDir = path.resolve(SERVER_DIR, config.dataDir);
+  if (!config.sessionSecret) {
+    config.sessionSecret = loadOrCreateSecret(config.dataDir);
+  }
+
+  return config;
+}
@@ -0,0 +1,10 @@
+import http from 'node:http';
+import { loadConfig } from './config.js';
+import { createApp } from './app.js';
+
+const config = loadConfig();
+const server = http.createServer(createApp(config));
+
+server.listen(config.port, config.host, () => {
+  console.log(`UBG server listening on http://${config.host}:${config.port}`);
+});
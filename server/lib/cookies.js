@@ -0,0 +1,32 @@
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (err) {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Build a Set-Cookie header value. `maxAge` is in seconds.
+ */
+export function serializeCookie(name, value, options = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+  parts.push(`Path=${options.path || '/'}`);
+  if (options.maxAge !== undefined) {
+    parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+    parts.push(`Expires=${new Date(Date.now() + options.maxAge * 1000).toUTCString()}`);
+  }
+  if (options.httpOnly) parts.push('HttpOnly');
+  if (options.secure) parts.push('Secure');
+  parts.push(`SameSite=${options.sameSite || 'Strict'}`);
+  return parts.join('; ');
+}
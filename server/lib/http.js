@@ -0,0 +1,98 @@
+import crypto from 'node:crypto';
+
+/**
+ * Error thrown by route handlers. The app turns it into a JSON response
+ * shaped like `{ error: { code, message } }`.
+ */
+export class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store',
+    ...headers,
+  });
+  res.end(payload);
+}
+
+export function sendError(res, err) {
+  const status = err instanceof HttpError ? err.status : 500;
+  const error = err instanceof HttpError
+    ? { code: err.code, message: err.message, ...err.details }
+    : { code: 'internal_error', message: 'Something went wrong' };
+  const headers = error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {};
+  sendJson(res, status, { error }, headers);
+}
+
+/**
+ * Switch `res` to a Server-Sent Events stream. Returns `send(event, data)`,
+ * which writes one event with a JSON payload.
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export function redirect(res, location, status = 302) {
+  res.writeHead(status, { Location: location, 'Cache-Control': 'no-store' });
+  res.end();
+}
+
+/**
+ * Read and parse a JSON request body, rejecting anything over `limit` bytes.
+ */
+export async function readJson(req, limit = 64 * 1024) {
+  const type = req.headers['content-type'] || '';
+  if (!type.includes('application/json')) {
+    throw new HttpError(415, 'unsupported_media_type', 'Expected a JSON body');
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new HttpError(413, 'payload_too_large', 'Request body is too large');
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  } catch (err) {
+    throw new HttpError(400, 'invalid_json', 'Request body is not valid JSON');
+  }
+}
+
+/**
+ * Who is making the request: the client IP (from X-Forwarded-For when
+ * `trustProxy` is set) and a fingerprint built from the browser's own
+ * X-Client-Fingerprint header plus User-Agent and Accept-Language.
+ */
+export function clientInfo(req, { trustProxy = false } = {}) {
+  const forwarded = trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+  const ip = forwarded || req.socket.remoteAddress || 'unknown';
+  const fingerprint = crypto.createHash('sha256')
+    .update(String(req.headers['x-client-fingerprint'] || '').slice(0, 512))
+    .update('\n' + (req.headers['user-agent'] || ''))
+    .update('\n' + (req.headers['accept-language'] || ''))
+    .digest('hex')
+    .slice(0, 16);
+  return { ip, fingerprint };
+}
@@ -0,0 +1,61 @@
+import { HttpError } from './http.js';
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    throw new HttpError(400, 'invalid_path', 'The URL contains a malformed escape');
+  }
+}
+
+/**
+ * Minimal method + path router. Patterns may contain `:name` segments,
+ * which are passed to the handler as `params.name`.
+ */
+export class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  add(method, pattern, handler) {
+    const keys = [];
+    const source = pattern
+      .split('/')
+      .map(segment => {
+        if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      })
+      .join('/');
+    this.routes.push({ method, regex: new RegExp(`^${source}$`), keys, handler });
+    return this;
+  }
+
+  get(pattern, handler) { return this.add('GET', pattern, handler); }
+  post(pattern, handler) { return this.add('POST', pattern, handler); }
+  put(pattern, handler) { return this.add('PUT', pattern, handler); }
+  delete(pattern, handler) { return this.add('DELETE', pattern, handler); }
+
+  /**
+   * Find the route for a request. Returns `{ handler, params }`, or
+   * `{ allowed }` listing other methods when only the path matched.
+   * Throws a 400 HttpError when a parameter is not valid percent-encoding.
+   */
+  match(method, pathname) {
+    const allowed = [];
+    for (const route of this.routes) {
+      const found = route.regex.exec(pathname);
+      if (!found) continue;
+      if (route.method !== method) {
+        allowed.push(route.method);
+        continue;
+      }
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = decodeParam(found[i + 1]);
+      });
+      return { handler: route.handler, params };
+    }
+    return allowed.length ? { allowed } : null;
+  }
+}
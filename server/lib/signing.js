@@ -0,0 +1,44 @@
+import crypto from 'node:crypto';
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Encode `payload` as `<base64url json>.<base64url hmac>`.
+ */
+export function signPayload(payload, secret) {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${hmac(data, secret)}`;
+}
+
+/**
+ * Return the payload of a token made by signPayload, or null when the
+ * token is malformed or the signature does not match.
+ */
+export function verifyPayload(token, secret) {
+  if (typeof token !== 'string') return null;
+  const [data, signature, extra] = token.split('.');
+  if (!data || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(hmac(data, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Compare two secrets without leaking how many leading characters matched.
+ */
+export function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
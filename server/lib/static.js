@@ -0,0 +1,102 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { HttpError } from './http.js';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.wasm': 'application/wasm',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/plain; charset=utf-8',
+};
+
+/**
+ * The decoded, non-empty segments of a URL path, as the file lookup sees
+ * them. Anything deciding access by path must use these too, or an escaped
+ * name such as /%68ome/ reads differently to it. A malformed escape is a 400.
+ */
+export function pathSegments(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (err) {
+    throw new HttpError(400, 'invalid_path', 'The URL contains a malformed escape');
+  }
+  return decoded.split('/').filter(Boolean);
+}
+
+function statSafe(file) {
+  try {
+    return fs.statSync(file);
+  } catch (err) {
+    return null;
+  }
+}
+
+function sendFile(res, file, stat, status = 200) {
+  const type = MIME_TYPES[path.extname(file).toLowerCase()];
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Content-Length': stat.size,
+    'Cache-Control': type.startsWith('text/html') ? 'no-cache' : 'public, max-age=300',
+  });
+  fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Serve files from `root` the way the static host did: directories resolve
+ * to their index.html, and anything missing falls back to /404.html.
+ * Paths whose first segment is in `deny`, dotfiles and files that are not
+ * web assets (no known content type, e.g. CNAME or *.jsonl) are never served.
+ */
+export function createStaticHandler({ root, deny = [] }) {
+  const notFoundPage = path.join(root, '404.html');
+
+  function notFound(res) {
+    const stat = statSafe(notFoundPage);
+    if (stat) return sendFile(res, notFoundPage, stat, 404);
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not Found');
+  }
+
+  return function serveStatic(req, res, pathname) {
+    const segments = pathSegments(pathname);
+    if (segments.some(segment => segment.startsWith('.')) || deny.includes(segments[0])) {
+      return notFound(res);
+    }
+
+    const file = path.join(root, ...segments);
+    if (!file.startsWith(root)) return notFound(res);
+
+    let stat = statSafe(file);
+    if (stat && stat.isDirectory()) {
+      // Relative asset links only work from a trailing-slash URL
+      if (!pathname.endsWith('/')) {
+        res.writeHead(301, { Location: pathname + '/' });
+        return res.end();
+      }
+      const index = path.join(file, 'index.html');
+      stat = statSafe(index);
+      return stat ? sendFile(res, index, stat) : notFound(res);
+    }
+
+    if (!stat) {
+      // Allow extensionless links such as /404 to find their .html file
+      const html = statSafe(file + '.html');
+      return html ? sendFile(res, file + '.html', html) : notFound(res);
+    }
+
+    if (!MIME_TYPES[path.extname(file).toLowerCase()]) return notFound(res);
+    return sendFile(res, file, stat);
+  };
+}
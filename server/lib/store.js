@@ -0,0 +1,55 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * A JSON document on disk. The server and the admin CLI share these files,
+ * so reads pick up changes written by the other process (by mtime), and
+ * writes go through a temp file + rename so a reader never sees half a file.
+ */
+export class JsonStore {
+  constructor(file, defaults = {}) {
+    this.file = file;
+    this.defaults = defaults;
+    this.data = null;
+    this.mtime = 0;
+  }
+
+  load() {
+    let stat;
+    try {
+      stat = fs.statSync(this.file);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      if (!this.data) this.data = structuredClone(this.defaults);
+      return this.data;
+    }
+    if (!this.data || stat.mtimeMs !== this.mtime) {
+      this.data = { ...structuredClone(this.defaults), ...JSON.parse(fs.readFileSync(this.file, 'utf8')) };
+      this.mtime = stat.mtimeMs;
+    }
+    return this.data;
+  }
+
+  read() {
+    return this.load();
+  }
+
+  /**
+   * Mutate the document with `fn(data)` and persist it. Returns whatever
+   * `fn` returns.
+   */
+  update(fn) {
+    const data = this.load();
+    const result = fn(data);
+    this.save();
+    return result;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this.data, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(temp, this.file);
+    this.mtime = fs.statSync(this.file).mtimeMs;
+  }
+}
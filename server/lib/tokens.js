@@ -0,0 +1,31 @@
+// Rough token counts for context budgeting. Every provider tokenizes
+// differently and none of their tokenizers ship with the server, so this
+// assumes about four characters per token (close for English text) plus a
+// few tokens of framing per chat message.
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+export function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Keep the newest `messages` that fit in `budget` tokens, in order.
+ * Returns `{ kept, dropped, tokens }`, where `dropped` counts the older
+ * messages left out and `tokens` is the estimate for the kept ones.
+ */
+export function fitMessages(messages, budget) {
+  let tokens = 0;
+  let start = messages.length;
+  while (start > 0) {
+    const next = estimateMessageTokens(messages[start - 1]);
+    if (tokens + next > budget) break;
+    tokens += next;
+    start--;
+  }
+  return { kept: messages.slice(start), dropped: start, tokens };
+}
@@ -0,0 +1,44 @@
+// Checked in order; the first match wins, so more specific brands come
+// before the engines they are built on (Edge and Opera before Chrome).
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d]+)/],
+  ['Safari', /Version\/([\d]+).*Safari/],
+];
+
+const SYSTEMS = [
+  ['iPadOS', /iPad/],
+  ['iOS', /iPhone|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Rough, human-readable description of a User-Agent string for the
+ * sessions page, e.g. `{ browser: 'Chrome 126', os: 'Windows', device: 'Desktop' }`.
+ */
+export function describeUserAgent(userAgent = '') {
+  const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  let device = 'Desktop';
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    device = 'Tablet';
+  } else if (/Mobi|iPhone|iPod/.test(userAgent)) {
+    device = 'Mobile';
+  }
+
+  return {
+    browser: browserMatch
+      ? `${browserMatch[0]} ${browserMatch[1].exec(userAgent)[1]}`
+      : 'Unknown browser',
+    os: system ? system[0] : 'Unknown OS',
+    device,
+  };
+}
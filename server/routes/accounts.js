@@ -0,0 +1,128 @@
+import { HttpError, clientInfo, readJson, sendJson } from '../lib/http.js';
+import { signPayload, verifyPayload } from '../lib/signing.js';
+import { normalizeUsername, validateCredentials } from '../services/users.js';
+import { assertEntryAllowed, assertNotThrottled, failedAttempt } from './guards.js';
+
+const LOGIN_ERRORS = {
+  pending: ['account_pending', 'Your request is still waiting for approval'],
+  rejected: ['account_rejected', 'Your request was declined'],
+  disabled: ['account_disabled', 'This account has been disabled'],
+};
+
+// How long the password step stays good while the user finds their code
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+function requestStatus(user) {
+  return { username: user.username, status: user.status, requestedAt: user.createdAt };
+}
+
+/**
+ * Registration queue and username/password sign-in:
+ * POST /api/register, GET /api/register/:requestId, POST /api/login and,
+ * for accounts with two-factor on, POST /api/login/2fa.
+ */
+export function registerAccountRoutes(router, { config, users, sessions, throttle, registrationThrottle, otpThrottle, status, twoFactor, audit }) {
+  // Refuse accounts that cannot sign in right now
+  function assertCanSignIn(user) {
+    if (user.status !== 'active') {
+      const [code, message] = LOGIN_ERRORS[user.status];
+      throw new HttpError(403, code, message);
+    }
+    // Checked after the password so that admins can still get in
+    if (user.role !== 'admin') assertEntryAllowed(status, 'login');
+  }
+
+  function signIn(req, res, user, { twoFactor: passed = false } = {}) {
+    const { session, cookie } = sessions.issue({ userId: user.id, twoFactor: passed }, req);
+    sendJson(res, 200, {
+      active: true,
+      expiresAt: session.exp,
+      user: { username: user.username },
+    }, { 'Set-Cookie': cookie });
+  }
+
+  router.post('/api/register', async (req, res) => {
+    assertEntryAllowed(status, 'register');
+    const client = clientInfo(req, config);
+    assertNotThrottled(registrationThrottle, client);
+
+    const body = await readJson(req);
+    const username = normalizeUsername(body.username);
+    const problem = validateCredentials(username, body.password);
+    if (problem) {
+      throw new HttpError(400, 'invalid_registration', problem);
+    }
+
+    // Every request that gets this far counts, accepted or not: each one
+    // costs a password hash and may add to the approval queue
+    registrationThrottle.fail(client, 'register_attempt', { username });
+    const user = await users.register(username, body.password);
+    if (!user) {
+      throw new HttpError(409, 'username_taken', 'That username is already taken');
+    }
+    sendJson(res, 201, { ...requestStatus(user), requestId: user.requestId });
+  });
+
+  router.get('/api/register/:requestId', async (req, res, { params }) => {
+    const user = users.findByRequestId(params.requestId);
+    if (!user) {
+      throw new HttpError(404, 'request_not_found', 'No such registration request');
+    }
+    sendJson(res, 200, requestStatus(user));
+  });
+
+  router.post('/api/login', async (req, res) => {
+    const body = await readJson(req);
+    const username = normalizeUsername(body.username).slice(0, 64);
+    // Guesses at one account add up across clients too
+    const client = { ...clientInfo(req, config), account: username };
+    assertNotThrottled(throttle, client);
+
+    const user = await users.authenticate(username, String(body.password || ''));
+    if (!user) {
+      throw failedAttempt(throttle, client, { type: 'login_failed', username },
+        new HttpError(401, 'invalid_login', 'Incorrect username or password'));
+    }
+    assertCanSignIn(user);
+
+    if (twoFactor.isEnabled(user.id)) {
+      // No cookie yet: the challenge proves the password step and is
+      // traded for a session at /api/login/2fa
+      const challenge = signPayload({
+        purpose: '2fa',
+        uid: user.id,
+        exp: Date.now() + CHALLENGE_TTL_MS,
+      }, config.sessionSecret);
+      return sendJson(res, 200, { twoFactorRequired: true, challenge });
+    }
+    // Only a sign-in that ends in a session clears the account's failures
+    throttle.succeed(client);
+    signIn(req, res, user);
+  });
+
+  router.post('/api/login/2fa', async (req, res) => {
+    const body = await readJson(req);
+    const challenge = verifyPayload(body.challenge, config.sessionSecret);
+    const user = challenge?.purpose === '2fa' && challenge.exp > Date.now() ? users.find(challenge.uid) : null;
+    if (!user) {
+      throw new HttpError(401, 'challenge_expired', 'Your sign-in has timed out. Sign in again');
+    }
+    // Codes have their own count per account, which the password step
+    // never clears: knowing the password must not buy more guesses
+    const client = { ...clientInfo(req, config), account: user.username };
+    assertNotThrottled(otpThrottle, client);
+    assertCanSignIn(user);
+
+    const method = twoFactor.verify(user.id, String(body.code || '').slice(0, 32));
+    if (!method) {
+      throw failedAttempt(otpThrottle, client, { type: 'otp_failed', username: user.username },
+        new HttpError(401, 'invalid_otp', 'Incorrect code'));
+    }
+    otpThrottle.succeed(client);
+    throttle.succeed(client);
+    if (method === 'recovery') {
+      audit.record('recovery_code_used', { ip: client.ip, fingerprint: client.fingerprint, username: user.username });
+    }
+    signIn(req, res, user, { twoFactor: true });
+  });
+}
@@ -0,0 +1,29 @@
+import { HttpError, readJson, sendJson } from '../lib/http.js';
+import { FEATURES, ROLES } from '../services/roles.js';
+import { requireAdmin } from './guards.js';
+
+/**
+ * Admin settings: GET/PUT /api/admin/roles for the role → feature matrix.
+ */
+export function registerAdminRoutes(router, services) {
+  const { roles } = services;
+
+  function matrixResponse() {
+    return { roles: ROLES, features: FEATURES, matrix: roles.matrix() };
+  }
+
+  router.get('/api/admin/roles', async (req, res) => {
+    requireAdmin(services, req);
+    sendJson(res, 200, matrixResponse());
+  });
+
+  router.put('/api/admin/roles', async (req, res) => {
+    requireAdmin(services, req);
+    const body = await readJson(req);
+    if (!body.matrix || typeof body.matrix !== 'object') {
+      throw new HttpError(400, 'invalid_matrix', 'Expected { matrix: { <role>: { <feature>: boolean } } }');
+    }
+    roles.setMatrix(body.matrix);
+    sendJson(res, 200, matrixResponse());
+  });
+}
@@ -0,0 +1,72 @@
+import { HttpError, clientInfo, readJson, sendJson } from '../lib/http.js';
+import { normalizeCode } from '../services/invites.js';
+import { assertEntryAllowed, assertNotThrottled, failedAttempt, requireSession } from './guards.js';
+
+const REDEEM_ERRORS = {
+  invalid: 'Incorrect invite code',
+  expired: 'This invite code has expired',
+  revoked: 'This invite code has been revoked',
+  'used up': 'This invite code has already been used',
+};
+
+/**
+ * POST /api/activate, GET /api/session, POST /api/session/renew and
+ * POST /api/logout.
+ */
+export function registerAuthRoutes(router, { config, invites, users, sessions, throttle, roles, status }) {
+  router.post('/api/activate', async (req, res) => {
+    assertEntryAllowed(status, 'activate');
+    const client = clientInfo(req, config);
+    assertNotThrottled(throttle, client);
+
+    const body = await readJson(req);
+    const code = normalizeCode(body.code);
+    if (!code) {
+      throw new HttpError(400, 'missing_code', 'Enter an invite code');
+    }
+
+    const { invite, reason } = invites.redeem(code);
+    if (!invite) {
+      throw failedAttempt(throttle, client, { type: 'activate_failed', reason },
+        new HttpError(401, 'invalid_code', REDEEM_ERRORS[reason]));
+    }
+    throttle.succeed(client);
+
+    const { session, cookie } = sessions.issue({ inviteId: invite.id }, req);
+    sendJson(res, 200, { active: true, expiresAt: session.exp }, { 'Set-Cookie': cookie });
+  });
+
+  router.get('/api/session', async (req, res) => {
+    const session = requireSession(sessions, req);
+    const user = session.uid ? users.find(session.uid) : null;
+    const role = roles.roleOf(session);
+    sendJson(res, 200, {
+      active: true,
+      expiresAt: session.exp,
+      user: user ? { username: user.username } : null,
+      role,
+      features: roles.featuresFor(role),
+      maxExpiresAt: sessions.maxExpiry(session),
+    });
+  });
+
+  // One-click "stay signed in" from the expiry warning
+  router.post('/api/session/renew', async (req, res) => {
+    const session = requireSession(sessions, req);
+    const renewal = sessions.renew(session);
+    if (!renewal) {
+      throw new HttpError(409, 'session_at_limit', 'This session cannot be extended any further. Sign in again');
+    }
+    sendJson(res, 200, {
+      active: true,
+      expiresAt: renewal.session.exp,
+      maxExpiresAt: sessions.maxExpiry(renewal.session),
+    }, { 'Set-Cookie': renewal.cookie });
+  });
+
+  router.post('/api/logout', async (req, res) => {
+    const session = sessions.fromRequest(req);
+    if (session) sessions.revoke(session, session.sid);
+    sendJson(res, 200, { active: false }, { 'Set-Cookie': sessions.clearCookie() });
+  });
+}
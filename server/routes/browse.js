@@ -0,0 +1,15 @@
+import { sendJson } from '../lib/http.js';
+import { requireFeature } from './guards.js';
+
+/**
+ * Browse settings: GET /api/browse/wisp lists the Wisp servers the proxy
+ * can use and how often the page should re-check them.
+ */
+export function registerBrowseRoutes(router, services) {
+  const { wisp } = services;
+
+  router.get('/api/browse/wisp', async (req, res) => {
+    requireFeature(services, req, 'browse');
+    sendJson(res, 200, wisp.describe());
+  });
+}
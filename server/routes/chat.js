@@ -0,0 +1,365 @@
+import { HttpError, openEventStream, readJson, sendJson } from '../lib/http.js';
+import { estimateTokens } from '../lib/tokens.js';
+import { AI_LIMITS, SUMMARY_MAX_LENGTH, UpstreamError, validateAiSettings } from '../services/ai.js';
+import { sessionOwner } from '../services/sessions.js';
+import { usageOwner } from '../services/usage.js';
+import { requireAdmin, requireFeature } from './guards.js';
+
+const MAX_MESSAGES = 100;
+const MAX_MESSAGE_LENGTH = 8000;
+// Rounds of tool calls one reply may make; after that it ends as it is
+const MAX_TOOL_ROUNDS = 3;
+
+/**
+ * Check the conversation sent by the chat page. Returns an error message
+ * or null. System messages are refused: the system prompt is the server's.
+ */
+function validateMessages(messages, { endsWithUser = true } = {}) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'Expected { messages: [{ role, content }] }';
+  }
+  if (messages.length > MAX_MESSAGES) {
+    return `Conversations can have at most ${MAX_MESSAGES} messages`;
+  }
+  for (const message of messages) {
+    if (!message || !['user', 'assistant'].includes(message.role)) {
+      return 'Message roles must be "user" or "assistant"';
+    }
+    if (typeof message.content !== 'string' || !message.content.trim()) {
+      return 'Messages need some text';
+    }
+    if (message.content.length > MAX_MESSAGE_LENGTH) {
+      return `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`;
+    }
+  }
+  if (endsWithUser && messages[messages.length - 1].role !== 'user') {
+    return 'The last message must be from the user';
+  }
+  return null;
+}
+
+function validatePreset(preset) {
+  if (preset === undefined || preset === null || preset === '') return null;
+  if (typeof preset !== 'string' || preset.length > 60) return 'Expected a preset id';
+  return null;
+}
+
+function validateSummary(summary) {
+  if (summary === undefined || summary === '') return null;
+  if (typeof summary !== 'string' || summary.length > SUMMARY_MAX_LENGTH) {
+    return `Summaries must be text of at most ${SUMMARY_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Provider failures are the upstream's fault, not the browser's
+async function fromUpstream(promise) {
+  try {
+    return await promise;
+  } catch (err) {
+    if (!(err instanceof UpstreamError)) throw err;
+    throw new HttpError(502, 'upstream_error', err.message);
+  }
+}
+
+function quotaError({ period, kind, limit, resetsAt }) {
+  const when = period === 'daily' ? 'at midnight UTC' : 'on the 1st of next month (UTC)';
+  return new HttpError(429, 'quota_exceeded',
+    `You have reached your ${period} AI limit of ${limit} ${kind}. It resets ${when}`,
+    { period, kind, limit, resetsAt });
+}
+
+/**
+ * POST /api/chat: forwards the conversation to the chosen AI provider with
+ * the server's key and system prompt. With `stream: true` the reply comes
+ * back as Server-Sent Events: `delta` events with `{ text }`, then `done`
+ * with `{ model, finishReason, context }`, or `error` with `{ code, message }`
+ * if the upstream breaks off part way.
+ *
+ * Older turns that no longer fit the model's context are left out (see
+ * ai.fitContext); the page can send a `summary` of them, made with
+ * POST /api/chat/summary, to keep their gist.
+ *
+ * `preset` picks the assistant's persona (see services/presets.js).
+ *
+ * With `aiTools` on, the model may call tools (see services/chat-tools.js)
+ * before it answers; the server runs them and sends the results back. The
+ * stream then also has `tool` events with `{ name, arguments, games }`, the
+ * games to show as cards, and a non-streamed reply has all of them in
+ * `games`.
+ *
+ * Both sides of the exchange are screened (see services/moderation.js).
+ * A message the policy blocks is refused with `400 content_blocked`; the
+ * error's message is the friendly one to show. A blocked reply is cut off:
+ * the stream sends a `moderation` event with `{ stage, action, message,
+ * categories }` before `done`, and a non-streamed reply is replaced by the
+ * message and has `moderation` set. Warnings come the same way, with the
+ * reply left as it is.
+ *
+ * POST /api/chat and /api/chat/summary both count towards the caller's AI
+ * quota (see services/usage.js) and answer `429 quota_exceeded` once it is
+ * used up.
+ *
+ * Also GET /api/ai/models for the model picker, and GET/PUT /api/admin/ai
+ * for the per-provider defaults.
+ */
+export function registerChatRoutes(router, services) {
+  const { users, invites, roles, audit, ai, usage, presets, chatTools, moderation } = services;
+
+  function assertConfigured() {
+    if (!ai.isConfigured()) {
+      throw new HttpError(503, 'ai_unavailable', 'The AI chatbot is not set up on this server');
+    }
+  }
+
+  router.get('/api/ai/models', async (req, res) => {
+    requireFeature(services, req, 'ai');
+    assertConfigured();
+    const tools = chatTools.definitions();
+    sendJson(res, 200, { ...await ai.catalog(), toolTokens: tools.length ? estimateTokens(JSON.stringify(tools)) : 0 });
+  });
+
+  // Who a request is metered against, what reports call them, and whose
+  // presets it may use
+  function callerOf(session) {
+    const label = session.uid
+      ? users.find(session.uid)?.username
+      : `invite "${invites.find(session.inv)?.label || session.inv}"`;
+    return { owner: usageOwner(session), presetOwner: sessionOwner(session), label, role: roles.roleOf(session) };
+  }
+
+  // Count a request with the provider's token usage, or estimates when it
+  // gave none (some do not while streaming, and a stopped stream never does)
+  function meter(caller, choice, { model, usage: reported }, estimate) {
+    usage.record({
+      ...caller,
+      provider: choice.provider.id,
+      model: model || choice.options.model,
+      promptTokens: reported?.prompt_tokens ?? estimate.promptTokens,
+      completionTokens: reported?.completion_tokens ?? estimate.completionTokens,
+    });
+  }
+
+  /**
+   * Screen one side of an exchange: 'input' is what the person just sent
+   * (`prompt`), 'output' the reply to it. Anything flagged goes to the
+   * review queue. Resolves to moderation.check()'s verdict.
+   */
+  async function screen(caller, stage, prompt, reply = null) {
+    const result = await moderation.check(stage === 'input' ? prompt : reply, stage, {
+      onUsage: (choice, used, sent) => {
+        meter(caller, choice, used, { promptTokens: estimateTokens(sent), completionTokens: estimateTokens(used.reply) });
+      },
+    });
+    if (result.action) moderation.report({ owner: caller.owner, label: caller.label, stage, result, prompt, reply });
+    return result;
+  }
+
+  /**
+   * Screen the rest of what the page sent: earlier turns (replies included,
+   * since the page could have written them) and the summary. The new
+   * message gets screen(); this is the local policy only, and only a block
+   * counts, as the text had its warnings when it was first sent.
+   */
+  function screenHistory(caller, texts) {
+    const text = texts.filter(Boolean).join('\n\n');
+    const result = moderation.verdict(moderation.matchPolicy(text, 'input'));
+    if (result.action !== 'block') return;
+    moderation.report({ owner: caller.owner, label: caller.label, stage: 'input', result, prompt: text });
+    throw new HttpError(400, 'content_blocked', result.message, { stage: 'input', categories: result.categories });
+  }
+
+  // What the chat page is told about a verdict; logging happens quietly
+  function noticeOf(stage, { action, message, categories }) {
+    return action === 'block' || action === 'warn' ? { stage, action, message, categories } : null;
+  }
+
+  // The parts POST /api/chat and /api/chat/summary share
+  async function readChatRequest(req, { endsWithUser }) {
+    const caller = callerOf(requireFeature(services, req, 'ai'));
+    assertConfigured();
+    const over = usage.exceeded(caller.owner, caller.role);
+    if (over) throw quotaError(over);
+
+    const body = await readJson(req, 1024 * 1024);
+    const problem = validateMessages(body.messages, { endsWithUser }) || validateSummary(body.summary);
+    if (problem) {
+      throw new HttpError(400, 'invalid_messages', problem);
+    }
+    const choice = await ai.choose({ provider: body.provider, model: body.model });
+    if (!choice) {
+      throw new HttpError(400, 'unknown_model', 'That model is not available. Pick another one');
+    }
+    const messages = body.messages.map(({ role, content }) => ({ role, content }));
+    return { caller, body, messages, choice, summary: body.summary || '' };
+  }
+
+  router.post('/api/chat', async (req, res) => {
+    const { caller, body, messages, choice, summary } = await readChatRequest(req, { endsWithUser: true });
+    const problem = validatePreset(body.preset);
+    if (problem) {
+      throw new HttpError(400, 'invalid_preset', problem);
+    }
+    const systemPrompt = presets.resolve(body.preset, caller.presetOwner);
+    if (systemPrompt === null) {
+      throw new HttpError(400, 'unknown_preset', 'That preset no longer exists. Pick another one');
+    }
+    const fitted = ai.fitContext(messages, choice, { summary, systemPrompt, tools: chatTools.definitions() });
+    if (!fitted) {
+      throw new HttpError(400, 'context_exceeded', 'That message is too long for this model. Try a shorter one');
+    }
+
+    // Everything since the last reply: the new message and any files sent with it
+    const start = messages.findLastIndex(message => message.role === 'assistant') + 1;
+    const prompt = messages.slice(start).map(message => message.content).join('\n\n');
+    screenHistory(caller, [summary, ...messages.slice(0, start).map(message => message.content)]);
+    const screened = await screen(caller, 'input', prompt);
+    if (screened.action === 'block') {
+      throw new HttpError(400, 'content_blocked', screened.message, { stage: 'input', categories: screened.categories });
+    }
+    const exchange = { prompt, notice: noticeOf('input', screened) };
+    if (body.stream) return streamReply(req, res, caller, fitted, choice, exchange);
+
+    let reply = '';
+    const games = [];
+    for (let round = 0, turn = fitted; ; round++) {
+      const result = await fromUpstream(ai.complete(turn, choice));
+      meter(caller, choice, result, { promptTokens: promptTokensOf(fitted, turn), completionTokens: estimateTokens(result.reply) });
+      reply += result.reply;
+      if (!result.toolCalls?.length || round === MAX_TOOL_ROUNDS) {
+        const checked = await screen(caller, 'output', prompt, reply);
+        const notice = noticeOf('output', checked) || exchange.notice;
+        if (checked.action === 'block') {
+          sendJson(res, 200, { reply: checked.message, model: result.model, context: fitted.context, games: [], moderation: notice });
+          return;
+        }
+        sendJson(res, 200, { reply, model: result.model, context: fitted.context, games, moderation: notice });
+        return;
+      }
+      const ran = await runTools(result.toolCalls);
+      ran.forEach(({ games: cards }) => games.push(...cards));
+      turn = withToolResults(turn, result.reply, result.toolCalls, ran);
+    }
+  });
+
+  // What a round of tool calls adds to the conversation for the next request
+  function withToolResults(fitted, text, calls, ran) {
+    return {
+      ...fitted,
+      messages: [
+        ...fitted.messages,
+        { role: 'assistant', content: text, toolCalls: calls },
+        ...calls.map((call, index) => ({ role: 'tool', toolCallId: call.id, name: call.name, content: ran[index].content })),
+      ],
+    };
+  }
+
+  function runTools(calls) {
+    return Promise.all(calls.map(call => chatTools.run(call)));
+  }
+
+  // The estimate for a request, counting the tool rounds `turn` added to `fitted`
+  function promptTokensOf(fitted, turn) {
+    const added = turn.messages.slice(fitted.messages.length);
+    return fitted.context.tokens + added.reduce((total, message) => total + estimateTokens(message.content), 0);
+  }
+
+  router.post('/api/chat/summary', async (req, res) => {
+    const { caller, messages, choice, summary } = await readChatRequest(req, { endsWithUser: false });
+    screenHistory(caller, [summary, ...messages.map(message => message.content)]);
+    const result = await fromUpstream(ai.summarize(messages, choice, { summary }));
+    const sent = messages.reduce((total, message) => total + estimateTokens(message.content), estimateTokens(summary));
+    meter(caller, choice, result, { promptTokens: sent, completionTokens: estimateTokens(result.summary) });
+    if (!result.summary) {
+      throw new HttpError(502, 'upstream_error', 'The AI service returned an empty summary');
+    }
+    sendJson(res, 200, { summary: result.summary, model: result.model || choice.options.model });
+  });
+
+  router.get('/api/admin/ai', async (req, res) => {
+    requireAdmin(services, req);
+    sendJson(res, 200, { ...await ai.catalog(), limits: AI_LIMITS });
+  });
+
+  router.put('/api/admin/ai', async (req, res) => {
+    const session = requireAdmin(services, req);
+    const body = await readJson(req);
+    const update = { defaultProvider: body.defaultProvider, providers: body.providers ?? {} };
+    const problem = validateAiSettings(update, ai.providerIds());
+    if (problem) {
+      throw new HttpError(400, 'invalid_ai_settings', problem);
+    }
+
+    ai.setSettings(update);
+    audit.record('ai_settings_changed', { by: users.find(session.uid).username });
+    sendJson(res, 200, { ...await ai.catalog(), limits: AI_LIMITS });
+  });
+
+  async function streamReply(req, res, caller, fitted, choice, { prompt, notice }) {
+    // Stop paying for tokens nobody will read once the browser goes away
+    const cancel = new AbortController();
+    res.on('close', () => cancel.abort());
+
+    let chunks;
+    try {
+      // Nothing has been sent yet, so failures are still normal JSON errors
+      chunks = await fromUpstream(ai.stream(fitted, choice, { signal: cancel.signal }));
+    } catch (err) {
+      if (cancel.signal.aborted) return;
+      throw err;
+    }
+
+    const send = openEventStream(res);
+    if (notice) send('moderation', notice);
+    let turn = fitted;
+    let reply = '';
+    // The local policy is quick enough to stop a reply as it comes
+    const matchStream = moderation.streamMatcher('output');
+    try {
+      for (let round = 0; ; round++) {
+        let text = '';
+        let done = {};
+        let blocked = false;
+        try {
+          for await (const chunk of chunks) {
+            if (chunk.done) {
+              done = chunk;
+            } else {
+              text += chunk.delta;
+              blocked = moderation.verdict(matchStream(chunk.delta)).action === 'block';
+              if (blocked) break;
+              send('delta', { text: chunk.delta });
+            }
+          }
+        } finally {
+          // Replies that were stopped or broke off still cost what was written
+          if (text || done.done) {
+            meter(caller, choice, done, { promptTokens: promptTokensOf(fitted, turn), completionTokens: estimateTokens(text) });
+          }
+        }
+
+        reply += text;
+        if (blocked || !done.toolCalls?.length || round === MAX_TOOL_ROUNDS) {
+          const checked = await screen(caller, 'output', prompt, reply);
+          const outcome = noticeOf('output', checked);
+          if (outcome) send('moderation', outcome);
+          const finishReason = checked.action === 'block' ? 'content_filter' : done.finishReason;
+          send('done', { model: done.model, finishReason, context: fitted.context });
+          break;
+        }
+        const ran = await runTools(done.toolCalls);
+        done.toolCalls.forEach((call, index) => {
+          send('tool', { name: call.name, arguments: call.arguments, games: ran[index].games });
+        });
+        turn = withToolResults(turn, text, done.toolCalls, ran);
+        chunks = await ai.stream(turn, choice, { signal: cancel.signal });
+      }
+    } catch (err) {
+      if (!cancel.signal.aborted) {
+        if (!(err instanceof UpstreamError)) console.error(err);
+        send('error', { code: 'upstream_error', message: err instanceof UpstreamError ? err.message : 'Something went wrong' });
+      }
+    }
+    res.end();
+  }
+}
@@ -0,0 +1,80 @@
+import { HttpError } from '../lib/http.js';
+
+/**
+ * The request's session, or a 401 when there is none.
+ */
+export function requireSession(sessions, req) {
+  const session = sessions.fromRequest(req);
+  if (!session) {
+    throw new HttpError(401, 'not_activated', 'No active session');
+  }
+  return session;
+}
+
+/**
+ * The request's session when its role has `feature` switched on; 403
+ * otherwise.
+ */
+export function requireFeature({ sessions, roles }, req, feature) {
+  const session = requireSession(sessions, req);
+  if (!roles.allows(roles.roleOf(session), feature)) {
+    throw new HttpError(403, 'feature_disabled', 'Your role does not have access to this feature');
+  }
+  return session;
+}
+
+/**
+ * The request's session when it belongs to an admin; 403 otherwise.
+ * Admin sessions must have passed a two-factor check, except where
+ * `twoFactor: false` (setting two-factor up in the first place).
+ */
+export function requireAdmin({ sessions, roles }, req, { twoFactor = true } = {}) {
+  const session = requireSession(sessions, req);
+  if (roles.roleOf(session) !== 'admin') {
+    throw new HttpError(403, 'admin_only', 'Only admins can do that');
+  }
+  if (twoFactor && !session.mfa) {
+    throw new HttpError(403, 'two_factor_required',
+      'Admin settings need two-factor authentication. Set it up, or sign in again with your code');
+  }
+  return session;
+}
+
+const ENTRY_CLOSED = {
+  activate: 'Activation is paused',
+  register: 'New account requests are paused',
+  login: 'Sign-in is paused',
+};
+
+/**
+ * Throw a 503 when the site status (see services/status.js) does not let
+ * new visitors `activate`, `register` or `login` right now.
+ */
+export function assertEntryAllowed(status, action) {
+  if (status.allowsEntry(action)) return;
+  const { mode, message, endsAt } = status.current();
+  throw new HttpError(503, 'entry_paused', `${ENTRY_CLOSED[action]}. ${message}`, { mode, endsAt });
+}
+
+/**
+ * Throw a 429 when the client is still backing off from failed attempts.
+ */
+export function assertNotThrottled(throttle, client) {
+  const wait = throttle.retryAfter(client);
+  if (wait > 0) {
+    const seconds = Math.ceil(wait / 1000);
+    throw new HttpError(429, 'too_many_attempts', `Too many attempts. Try again in ${seconds}s`, {
+      retryAfter: seconds,
+    });
+  }
+}
+
+/**
+ * Count a failed attempt (and audit it as `type` with `details`), then
+ * return `error` annotated with how many seconds the client must wait.
+ */
+export function failedAttempt(throttle, client, { type, ...details }, error) {
+  const wait = throttle.fail(client, type, details);
+  error.details = { ...error.details, retryAfter: Math.ceil(wait / 1000) };
+  return error;
+}
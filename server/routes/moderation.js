@@ -0,0 +1,55 @@
+import { HttpError, readJson, sendJson } from '../lib/http.js';
+import { REVIEW_STATUSES, validateModerationPolicy } from '../services/moderation.js';
+import { requireAdmin } from './guards.js';
+
+/**
+ * AI chat moderation for admins: GET/PUT /api/admin/moderation for the
+ * policy, GET /api/admin/moderation/queue?status= for flagged exchanges
+ * (newest first) and POST /api/admin/moderation/queue/:id with
+ * `{ status }` to mark one reviewed.
+ */
+export function registerModerationRoutes(router, services) {
+  const { users, audit, moderation } = services;
+
+  router.get('/api/admin/moderation', async (req, res) => {
+    requireAdmin(services, req);
+    sendJson(res, 200, moderation.describe());
+  });
+
+  router.put('/api/admin/moderation', async (req, res) => {
+    const session = requireAdmin(services, req);
+    const body = await readJson(req);
+    const update = { categories: body.categories ?? {}, model: body.model };
+    const problem = validateModerationPolicy(update);
+    if (problem) {
+      throw new HttpError(400, 'invalid_moderation_policy', problem);
+    }
+    const saved = moderation.setPolicy(update);
+    audit.record('moderation_policy_changed', { by: users.find(session.uid).username });
+    sendJson(res, 200, saved);
+  });
+
+  router.get('/api/admin/moderation/queue', async (req, res, { url }) => {
+    requireAdmin(services, req);
+    const status = url.searchParams.get('status') || undefined;
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      throw new HttpError(400, 'invalid_status', `Status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+    sendJson(res, 200, moderation.queue({ status }));
+  });
+
+  router.post('/api/admin/moderation/queue/:id', async (req, res, { params }) => {
+    const session = requireAdmin(services, req);
+    const body = await readJson(req);
+    if (!REVIEW_STATUSES.includes(body.status)) {
+      throw new HttpError(400, 'invalid_status', `Status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+    const by = users.find(session.uid).username;
+    const entry = moderation.review(params.id, body.status, by);
+    if (!entry) {
+      throw new HttpError(404, 'not_found', 'No such flagged exchange');
+    }
+    audit.record('moderation_reviewed', { by, entry: entry.id, status: entry.status });
+    sendJson(res, 200, entry);
+  });
+}
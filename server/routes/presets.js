@@ -0,0 +1,72 @@
+import { HttpError, readJson, sendJson } from '../lib/http.js';
+import { validateCustomPrompt, validatePresets } from '../services/presets.js';
+import { sessionOwner } from '../services/sessions.js';
+import { requireAdmin, requireFeature } from './guards.js';
+
+/**
+ * Assistant personas. GET /api/ai/presets lists the admin presets and the
+ * caller's own custom prompts, which POST/PUT/DELETE /api/ai/presets[/:id]
+ * manage. GET/PUT /api/admin/presets edit the admin presets.
+ */
+export function registerPresetRoutes(router, services) {
+  const { users, audit, presets } = services;
+
+  function ownerOf(req) {
+    return sessionOwner(requireFeature(services, req, 'ai'));
+  }
+
+  async function readCustomPrompt(req) {
+    const body = await readJson(req);
+    const problem = validateCustomPrompt(body);
+    if (problem) {
+      throw new HttpError(400, 'invalid_prompt', problem);
+    }
+    return body;
+  }
+
+  router.get('/api/ai/presets', async (req, res) => {
+    sendJson(res, 200, presets.catalog(ownerOf(req)));
+  });
+
+  router.post('/api/ai/presets', async (req, res) => {
+    const owner = ownerOf(req);
+    const saved = presets.saveCustom(owner, await readCustomPrompt(req));
+    if (!saved) {
+      throw new HttpError(400, 'too_many_prompts', 'You have as many custom prompts as allowed. Delete one first');
+    }
+    sendJson(res, 201, saved);
+  });
+
+  router.put('/api/ai/presets/:id', async (req, res, { params }) => {
+    const owner = ownerOf(req);
+    const saved = presets.saveCustom(owner, await readCustomPrompt(req), params.id);
+    if (!saved) {
+      throw new HttpError(404, 'prompt_not_found', 'No such custom prompt');
+    }
+    sendJson(res, 200, saved);
+  });
+
+  router.delete('/api/ai/presets/:id', async (req, res, { params }) => {
+    if (!presets.removeCustom(ownerOf(req), params.id)) {
+      throw new HttpError(404, 'prompt_not_found', 'No such custom prompt');
+    }
+    sendJson(res, 200, { removed: 1 });
+  });
+
+  router.get('/api/admin/presets', async (req, res) => {
+    requireAdmin(services, req);
+    sendJson(res, 200, presets.adminList());
+  });
+
+  router.put('/api/admin/presets', async (req, res) => {
+    const session = requireAdmin(services, req);
+    const body = await readJson(req);
+    const problem = validatePresets(body.presets, body.defaultPreset);
+    if (problem) {
+      throw new HttpError(400, 'invalid_presets', problem);
+    }
+    presets.setPresets(body.presets, body.defaultPreset);
+    audit.record('ai_presets_changed', { by: users.find(session.uid).username });
+    sendJson(res, 200, presets.adminList());
+  });
+}
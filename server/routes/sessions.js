@@ -0,0 +1,47 @@
+import { HttpError, sendJson } from '../lib/http.js';
+import { describeUserAgent } from '../lib/useragent.js';
+import { requireSession } from './guards.js';
+
+function publicSession(record, current) {
+  return {
+    id: record.id,
+    current: record.id === current.sid,
+    ...describeUserAgent(record.userAgent),
+    ip: record.ip,
+    createdAt: record.createdAt,
+    lastSeenAt: record.lastSeenAt,
+    expiresAt: record.expiresAt,
+  };
+}
+
+/**
+ * Session management for the /sessions page:
+ * GET /api/sessions, DELETE /api/sessions/:id and
+ * POST /api/sessions/revoke-others.
+ */
+export function registerSessionRoutes(router, { sessions }) {
+  router.get('/api/sessions', async (req, res) => {
+    const session = requireSession(sessions, req);
+    sendJson(res, 200, {
+      // Invite sessions cannot see each other; see sessionOwner()
+      shared: !session.uid,
+      sessions: sessions.listFor(session)
+        .map(record => publicSession(record, session))
+        .sort((a, b) => b.current - a.current),
+    });
+  });
+
+  router.delete('/api/sessions/:id', async (req, res, { params }) => {
+    const session = requireSession(sessions, req);
+    if (!sessions.revoke(session, params.id)) {
+      throw new HttpError(404, 'session_not_found', 'No such session');
+    }
+    const headers = params.id === session.sid ? { 'Set-Cookie': sessions.clearCookie() } : {};
+    sendJson(res, 200, { revoked: 1 }, headers);
+  });
+
+  router.post('/api/sessions/revoke-others', async (req, res) => {
+    const session = requireSession(sessions, req);
+    sendJson(res, 200, { revoked: sessions.revokeOthers(session) });
+  });
+}
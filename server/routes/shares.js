@@ -0,0 +1,86 @@
+import { HttpError, readJson, sendJson } from '../lib/http.js';
+import { validateShare } from '../services/shares.js';
+import { sessionOwner } from '../services/sessions.js';
+import { requireAdmin, requireFeature, requireSession } from './guards.js';
+
+// The read-only page for a share
+function shareUrl(id) {
+  return `/share/?id=${encodeURIComponent(id)}`;
+}
+
+/**
+ * Shared chat transcripts. POST /api/ai/shares stores a snapshot of a chat
+ * and answers with its link, once every message has passed the local
+ * moderation policy: the page sends the replies too, so they are only as
+ * trustworthy as the person sharing; GET /api/ai/shares lists the caller's live
+ * shares and DELETE /api/ai/shares/:id revokes one (admins can revoke
+ * anyone's). GET /api/shares/:id is what the /share page reads: anyone
+ * signed in who has the link can open it, whatever their role.
+ */
+export function registerShareRoutes(router, services) {
+  const { users, invites, roles, audit, moderation, shares } = services;
+
+  // Messages are checked on their own stage: the person's as input, the
+  // replies as output. Only a block stops the share.
+  function screenShare(session, messages) {
+    const textOf = role => messages.filter(message => message.role === role).map(message => message.content).join('\n\n');
+    const prompt = textOf('user');
+    const reply = textOf('assistant');
+    for (const [stage, text] of [['input', prompt], ['output', reply]]) {
+      const result = moderation.verdict(moderation.matchPolicy(text, stage));
+      if (result.action !== 'block') continue;
+      const label = session.uid
+        ? users.find(session.uid)?.username
+        : `invite "${invites.find(session.inv)?.label || session.inv}"`;
+      moderation.report({ owner: sessionOwner(session), label, stage, result, prompt, reply });
+      throw new HttpError(400, 'content_blocked', result.message, { stage, categories: result.categories });
+    }
+  }
+
+  router.post('/api/ai/shares', async (req, res) => {
+    const session = requireFeature(services, req, 'ai');
+    const body = await readJson(req, 2 * 1024 * 1024);
+    const problem = validateShare(body);
+    if (problem) {
+      throw new HttpError(400, 'invalid_share', problem);
+    }
+    screenShare(session, body.messages);
+    const by = session.uid ? users.find(session.uid)?.username ?? null : null;
+    const share = shares.create(sessionOwner(session), by, body);
+    if (!share) {
+      throw new HttpError(400, 'too_many_shares', 'You have as many shared links as allowed. Revoke one first');
+    }
+    sendJson(res, 201, { ...share, url: shareUrl(share.id) });
+  });
+
+  router.get('/api/ai/shares', async (req, res) => {
+    const session = requireFeature(services, req, 'ai');
+    sendJson(res, 200, { shares: shares.list(sessionOwner(session)).map(share => ({ ...share, url: shareUrl(share.id) })) });
+  });
+
+  router.delete('/api/ai/shares/:id', async (req, res, { params }) => {
+    const session = requireSession(services.sessions, req);
+    const share = shares.find(params.id);
+    const own = share && share.owner === sessionOwner(session);
+    // Someone else's share is as good as missing, except to admins
+    if (!share || (!own && roles.roleOf(session) !== 'admin')) {
+      throw new HttpError(404, 'share_not_found', 'That shared chat does not exist or has been revoked');
+    }
+    if (!own) requireAdmin(services, req);
+    shares.revoke(share.id);
+    if (!own) {
+      audit.record('share_revoked', { by: users.find(session.uid).username, share: share.id });
+    }
+    sendJson(res, 200, { revoked: 1 });
+  });
+
+  router.get('/api/shares/:id', async (req, res, { params }) => {
+    requireSession(services.sessions, req);
+    const share = shares.find(params.id);
+    if (!share) {
+      throw new HttpError(404, 'share_not_found', 'That shared chat does not exist, has expired or has been revoked');
+    }
+    const { id, by, title, createdAt, expiresAt, messages } = share;
+    sendJson(res, 200, { id, by, title, createdAt, expiresAt, messages });
+  });
+}
@@ -0,0 +1,34 @@
+import { HttpError, readJson, sendJson } from '../lib/http.js';
+import { validateStatus } from '../services/status.js';
+import { requireAdmin } from './guards.js';
+
+/**
+ * Site status for the banner: GET /api/status (public) and
+ * PUT /api/admin/status.
+ */
+export function registerStatusRoutes(router, services) {
+  const { users, audit, status } = services;
+
+  router.get('/api/status', async (req, res) => {
+    sendJson(res, 200, status.current());
+  });
+
+  router.put('/api/admin/status', async (req, res) => {
+    // Invite codes never carry admin, so admins always have an account
+    const session = requireAdmin(services, req);
+    const body = await readJson(req);
+    const update = {
+      mode: body.mode,
+      message: body.message ?? '',
+      endsAt: body.endsAt ?? null,
+    };
+    const problem = validateStatus(update);
+    if (problem) {
+      throw new HttpError(400, 'invalid_status', problem);
+    }
+
+    const by = users.find(session.uid).username;
+    audit.record('status_changed', { mode: update.mode, by });
+    sendJson(res, 200, status.set(update, by));
+  });
+}
@@ -0,0 +1,67 @@
+import { HttpError, clientInfo, readJson, sendJson } from '../lib/http.js';
+import { assertNotThrottled, failedAttempt, requireAdmin } from './guards.js';
+
+/**
+ * Two-factor setup for admin accounts: GET /api/account/2fa,
+ * POST /api/account/2fa/setup, POST /api/account/2fa/enable and
+ * POST /api/account/2fa/recovery-codes. Turning it off again is left to
+ * the CLI (`users reset-2fa`), for admins who lose their device.
+ */
+export function registerTwoFactorRoutes(router, services) {
+  const { config, users, sessions, otpThrottle, twoFactor, audit } = services;
+
+  // Codes typed on these routes count towards the account's code backoff,
+  // the same as at sign-in
+  function checkCode(client, user, check) {
+    if (!check()) {
+      throw failedAttempt(otpThrottle, client, { type: 'otp_failed', username: user.username },
+        new HttpError(401, 'invalid_otp', 'Incorrect code'));
+    }
+    otpThrottle.succeed(client);
+  }
+
+  router.get('/api/account/2fa', async (req, res) => {
+    const session = requireAdmin(services, req, { twoFactor: false });
+    sendJson(res, 200, { ...twoFactor.status(session.uid), verified: Boolean(session.mfa) });
+  });
+
+  router.post('/api/account/2fa/setup', async (req, res) => {
+    const session = requireAdmin(services, req, { twoFactor: false });
+    if (twoFactor.isEnabled(session.uid)) {
+      throw new HttpError(409, 'two_factor_enabled', 'Two-factor authentication is already on');
+    }
+    const user = users.find(session.uid);
+    sendJson(res, 200, twoFactor.startSetup(user.id, user.username));
+  });
+
+  router.post('/api/account/2fa/enable', async (req, res) => {
+    const session = requireAdmin(services, req, { twoFactor: false });
+    const user = users.find(session.uid);
+    const client = { ...clientInfo(req, config), account: user.username };
+    assertNotThrottled(otpThrottle, client);
+
+    const body = await readJson(req);
+    let recoveryCodes = null;
+    checkCode(client, user, () => {
+      recoveryCodes = twoFactor.confirmSetup(user.id, String(body.code || ''));
+      return recoveryCodes;
+    });
+    audit.record('two_factor_enabled', { ip: client.ip, username: user.username });
+
+    // Swap the cookie for one that counts as two-factor verified
+    sessions.revoke(session, session.sid);
+    const { cookie } = sessions.issue({ userId: user.id, twoFactor: true }, req);
+    sendJson(res, 200, { enabled: true, recoveryCodes }, { 'Set-Cookie': cookie });
+  });
+
+  router.post('/api/account/2fa/recovery-codes', async (req, res) => {
+    const session = requireAdmin(services, req);
+    const user = users.find(session.uid);
+    const client = { ...clientInfo(req, config), account: user.username };
+    assertNotThrottled(otpThrottle, client);
+
+    const body = await readJson(req);
+    checkCode(client, user, () => twoFactor.verify(user.id, String(body.code || '')));
+    sendJson(res, 200, { recoveryCodes: twoFactor.regenerateRecoveryCodes(user.id) });
+  });
+}
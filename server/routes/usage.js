@@ -0,0 +1,47 @@
+import { HttpError, readJson, sendJson } from '../lib/http.js';
+import { ROLES } from '../services/roles.js';
+import { QUOTA_KINDS, QUOTA_PERIODS, dayKey, validateQuotas } from '../services/usage.js';
+import { requireAdmin } from './guards.js';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * AI usage for admins: GET/PUT /api/admin/quotas for the per-role limits,
+ * and GET /api/admin/usage?from=&to= for a report by user and model
+ * (UTC days, inclusive; this month so far by default).
+ */
+export function registerUsageRoutes(router, services) {
+  const { users, audit, usage } = services;
+
+  function quotasResponse() {
+    return { roles: ROLES, periods: QUOTA_PERIODS, kinds: QUOTA_KINDS, quotas: usage.quotas() };
+  }
+
+  router.get('/api/admin/quotas', async (req, res) => {
+    requireAdmin(services, req);
+    sendJson(res, 200, quotasResponse());
+  });
+
+  router.put('/api/admin/quotas', async (req, res) => {
+    const session = requireAdmin(services, req);
+    const body = await readJson(req);
+    const problem = validateQuotas(body.quotas);
+    if (problem) {
+      throw new HttpError(400, 'invalid_quotas', problem);
+    }
+    usage.setQuotas(body.quotas);
+    audit.record('ai_quotas_changed', { by: users.find(session.uid).username });
+    sendJson(res, 200, quotasResponse());
+  });
+
+  router.get('/api/admin/usage', async (req, res, { url }) => {
+    requireAdmin(services, req);
+    const today = dayKey(Date.now());
+    const from = url.searchParams.get('from') || `${today.slice(0, 8)}01`;
+    const to = url.searchParams.get('to') || today;
+    if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to) || from > to) {
+      throw new HttpError(400, 'invalid_range', 'Expected from and to as YYYY-MM-DD, from first');
+    }
+    sendJson(res, 200, usage.report({ from, to }));
+  });
+}
@@ -0,0 +1,411 @@
+import { estimateTokens } from '../lib/tokens.js';
+
+/**
+ * Raised when an AI provider fails or cannot be reached. `status` is the
+ * upstream HTTP status, when there was one.
+ */
+export class UpstreamError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+// Every adapter below has the same shape:
+//
+//   { id, label, defaultModel, isConfigured(), listModels(),
+//     complete(messages, options), stream(messages, options) }
+//
+// `messages` already include the system prompt. `options` are
+// `{ model, temperature, maxTokens, contextLength, tools, signal }`. complete()
+// resolves to `{ reply, model, usage, toolCalls }`; stream() resolves once the
+// provider starts answering, to an async iterator of `{ delta }` chunks
+// followed by one `{ done: true, model, finishReason, usage, toolCalls }`, and
+// the iterator throws an UpstreamError if the provider breaks off part way.
+//
+// Tools are `[{ name, description, parameters }]` (a JSON schema). When the
+// model calls some, `toolCalls` lists them as `[{ id, name, arguments }]`
+// with the arguments parsed; otherwise it is empty. The calls and their
+// results go back in `messages` as `{ role: 'assistant', content, toolCalls }`
+// followed by one `{ role: 'tool', toolCallId, name, content }` per call;
+// each adapter turns those into its own API's shape.
+
+/**
+ * Split an SSE body into the JSON payloads of its `data:` lines, stopping
+ * at `data: [DONE]`. A body that ends before that without any event giving
+ * a finish_reason was cut off, and throws.
+ */
+async function* readEvents(body) {
+  let finished = false;
+  for await (const line of readLines(body)) {
+    const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+    if (!data) continue;
+    if (data === '[DONE]') return;
+    const event = JSON.parse(data);
+    finished ||= Boolean(event.choices?.[0]?.finish_reason);
+    yield event;
+  }
+  if (!finished) throw new Error('The stream ended before the reply did');
+}
+
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+  if (buffer.trim()) yield buffer;
+}
+
+// Newline-delimited JSON, as Ollama streams it
+async function* readJsonLines(body) {
+  for await (const line of readLines(body)) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+// Wrap an upstream event iterator so that anything but a cancel surfaces
+// as an UpstreamError
+async function* guarded(events, signal) {
+  try {
+    yield* events;
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    throw new UpstreamError('The AI service stopped answering part way through');
+  }
+}
+
+/**
+ * POST JSON to a provider. `timeoutSeconds` covers the wait for the
+ * response headers; a stream may then take as long as it needs.
+ */
+async function post(url, payload, { apiKey, timeoutSeconds, signal }) {
+  const timeout = new AbortController();
+  const timer = setTimeout(() => timeout.abort(), timeoutSeconds * 1000);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify(payload),
+      signal: signal ? AbortSignal.any([timeout.signal, signal]) : timeout.signal,
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      // OpenAI-style `{ error: { message } }` or Ollama's `{ error }`
+      const message = data.error?.message || (typeof data.error === 'string' && data.error);
+      throw new UpstreamError(message || `AI service returned ${response.status}`, response.status);
+    }
+    return response;
+  } catch (err) {
+    if (err instanceof UpstreamError || signal?.aborted) throw err;
+    throw new UpstreamError(timeout.signal.aborted
+      ? 'The AI service took too long to answer'
+      : 'Could not reach the AI service');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The parsed body of a reply; a body that is not JSON is the provider's fault
+async function bodyJson(response) {
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new UpstreamError('The AI service sent a reply that could not be read', response.status);
+  }
+}
+
+async function getJson(url, { apiKey, timeoutSeconds }) {
+  const response = await fetch(url, {
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    signal: AbortSignal.timeout(Math.min(timeoutSeconds, 10) * 1000),
+  });
+  if (!response.ok) throw new UpstreamError(`AI service returned ${response.status}`, response.status);
+  return bodyJson(response);
+}
+
+// Arguments arrive as JSON text (OpenAI) or as an object (Ollama)
+function parseArguments(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    const parsed = JSON.parse(value || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function isLocalUrl(url) {
+  return /^http:\/\/(localhost|127\.0\.0\.1|\[::1\])[:/]/.test(url);
+}
+
+/**
+ * Any OpenAI-compatible chat completions API: Groq, OpenAI, OpenRouter, or
+ * a llama.cpp server (`llama-server`), which serves the same routes under
+ * /v1. With no fixed `models` list the provider's GET /models is used.
+ */
+export function createOpenAiProvider({ id, label, baseUrl, apiKey = '', models = [], defaultModel = '', timeoutSeconds }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  // A key is only optional for local servers such as llama.cpp or tools/mock-ai.js
+  function isConfigured() {
+    return Boolean(baseUrl) && (Boolean(apiKey) || isLocalUrl(root));
+  }
+
+  async function listModels() {
+    if (models.length) return models;
+    const data = await getJson(`${root}/models`, { apiKey, timeoutSeconds });
+    return (data.data || []).map(model => model.id).filter(Boolean);
+  }
+
+  function toWire(message) {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (!message.toolCalls) return message;
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+      })),
+    };
+  }
+
+  function request(messages, options, stream) {
+    return post(`${root}/chat/completions`, {
+      model: options.model,
+      messages: messages.map(toWire),
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      top_p: 1,
+      stream,
+      ...(options.tools?.length ? { tools: options.tools.map(tool => ({ type: 'function', function: tool })) } : {}),
+    }, { apiKey, timeoutSeconds, signal: options.signal });
+  }
+
+  function toolCallsOf(calls = []) {
+    return calls
+      .filter(call => call.function?.name)
+      .map((call, index) => ({ id: call.id || `call_${index}`, name: call.function.name, arguments: parseArguments(call.function.arguments) }));
+  }
+
+  async function complete(messages, options) {
+    const data = await bodyJson(await request(messages, options, false));
+    const message = data.choices?.[0]?.message;
+    return {
+      reply: message?.content || '',
+      model: data.model || options.model,
+      usage: data.usage || null,
+      toolCalls: toolCallsOf(message?.tool_calls),
+    };
+  }
+
+  async function stream(messages, options) {
+    const response = await request(messages, options, true);
+
+    return (async function* () {
+      let model = options.model;
+      let finishReason = null;
+      let usage = null;
+      // Tool calls stream in pieces, keyed by index; arguments are appended
+      const calls = [];
+      for await (const event of guarded(readEvents(response.body), options.signal)) {
+        model = event.model || model;
+        usage = event.usage || event.x_groq?.usage || usage;
+        const choice = event.choices?.[0];
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        if (choice?.delta?.content) yield { delta: choice.delta.content };
+        for (const piece of choice?.delta?.tool_calls || []) {
+          const call = calls[piece.index ?? calls.length] ||= { id: '', function: { name: '', arguments: '' } };
+          if (piece.id) call.id = piece.id;
+          if (piece.function?.name) call.function.name += piece.function.name;
+          if (piece.function?.arguments) call.function.arguments += piece.function.arguments;
+        }
+      }
+      yield { done: true, model, finishReason, usage, toolCalls: toolCallsOf(calls.filter(Boolean)) };
+    })();
+  }
+
+  return { id, label, defaultModel: defaultModel || models[0] || '', isConfigured, listModels, complete, stream };
+}
+
+/**
+ * A local Ollama server through its native API, which (unlike its OpenAI
+ * shim) takes the context length as `num_ctx`. Models are whatever has
+ * been pulled on that machine.
+ */
+export function createOllamaProvider({ id, label, baseUrl, defaultModel = '', timeoutSeconds }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  function isConfigured() {
+    return Boolean(baseUrl);
+  }
+
+  async function listModels() {
+    const data = await getJson(`${root}/api/tags`, { timeoutSeconds });
+    return (data.models || []).map(model => model.name).filter(Boolean);
+  }
+
+  function usageOf(data) {
+    if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+    const prompt = data.prompt_eval_count || 0;
+    const completion = data.eval_count || 0;
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+  }
+
+  function toWire(message) {
+    if (message.role === 'tool') return { role: 'tool', tool_name: message.name, content: message.content };
+    if (!message.toolCalls) return message;
+    return {
+      role: 'assistant',
+      content: message.content || '',
+      tool_calls: message.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } })),
+    };
+  }
+
+  function toolCallsOf(calls = []) {
+    return calls
+      .filter(call => call.function?.name)
+      .map((call, index) => ({ id: `call_${index}`, name: call.function.name, arguments: parseArguments(call.function.arguments) }));
+  }
+
+  function request(messages, options, stream) {
+    return post(`${root}/api/chat`, {
+      model: options.model,
+      messages: messages.map(toWire),
+      stream,
+      ...(options.tools?.length ? { tools: options.tools.map(tool => ({ type: 'function', function: tool })) } : {}),
+      options: {
+        temperature: options.temperature,
+        num_predict: options.maxTokens,
+        num_ctx: options.contextLength,
+      },
+    }, { timeoutSeconds, signal: options.signal });
+  }
+
+  async function complete(messages, options) {
+    const data = await bodyJson(await request(messages, options, false));
+    return {
+      reply: data.message?.content || '',
+      model: data.model || options.model,
+      usage: usageOf(data),
+      toolCalls: toolCallsOf(data.message?.tool_calls),
+    };
+  }
+
+  async function stream(messages, options) {
+    const response = await request(messages, options, true);
+
+    return (async function* () {
+      const calls = [];
+      for await (const data of guarded(readJsonLines(response.body), options.signal)) {
+        if (data.error) throw new UpstreamError(data.error);
+        if (data.message?.content) yield { delta: data.message.content };
+        // Ollama sends each tool call whole
+        calls.push(...(data.message?.tool_calls || []));
+        if (data.done) {
+          yield {
+            done: true,
+            model: data.model || options.model,
+            finishReason: data.done_reason || 'stop',
+            usage: usageOf(data),
+            toolCalls: toolCallsOf(calls),
+          };
+          return;
+        }
+      }
+      throw new UpstreamError('The AI service stopped answering part way through');
+    })();
+  }
+
+  return { id, label, defaultModel, isConfigured, listModels, complete, stream };
+}
+
+/**
+ * The mock's canned answer: it echoes the last user message and says how
+ * many turns it was sent, so the same conversation always gets the same
+ * reply. Shared with tools/mock-ai.js.
+ */
+export function mockReply(messages) {
+  const turns = messages.filter(message => message.role !== 'system');
+  const last = [...turns].reverse().find(message => message.role === 'user');
+  return `Mock reply to: "${last ? last.content : ''}" (${turns.length} messages in context)`;
+}
+
+/**
+ * The tool calls the mock makes when it is offered tools: `[games: <name>]`
+ * in the last user message searches the games for that name and
+ * `[play: <id>]` opens one. Once the results are in it answers as usual.
+ * Shared with tools/mock-ai.js.
+ */
+export function mockToolCalls(messages, tools = []) {
+  const last = messages[messages.length - 1];
+  if (!tools.length || !last || last.role !== 'user') return [];
+  const offered = new Set(tools.map(tool => tool.name));
+  const calls = [];
+  const search = last.content.match(/\[games:\s*([^\]]*)\]/);
+  if (search && offered.has('search_games')) calls.push({ name: 'search_games', arguments: { query: search[1].trim() } });
+  const play = last.content.match(/\[play:\s*(\d+)\]/);
+  if (play && offered.has('open_game')) calls.push({ name: 'open_game', arguments: { id: Number(play[1]) } });
+  return calls.map((call, index) => ({ id: `call_${index}`, ...call }));
+}
+
+/**
+ * A built-in provider with deterministic replies and no network, for
+ * working on the chat offline. Replies stream a word at a time.
+ */
+export function createMockProvider({ id, label, enabled }) {
+  const MODELS = ['mock-echo'];
+
+  function answer(messages) {
+    const reply = mockReply(messages);
+    const prompt = estimateTokens(messages.map(message => message.content).join('\n'));
+    const completion = estimateTokens(reply);
+    return { reply, usage: { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion } };
+  }
+
+  async function complete(messages, options) {
+    const toolCalls = mockToolCalls(messages, options.tools);
+    if (toolCalls.length) return { reply: '', model: options.model, usage: null, toolCalls };
+    return { ...answer(messages), model: options.model, toolCalls };
+  }
+
+  async function stream(messages, options) {
+    const toolCalls = mockToolCalls(messages, options.tools);
+    if (toolCalls.length) {
+      return (async function* () {
+        yield { done: true, model: options.model, finishReason: 'tool_calls', usage: null, toolCalls };
+      })();
+    }
+    const { reply, usage } = answer(messages);
+
+    return (async function* () {
+      for (const word of reply.match(/\S+\s*/g) || []) {
+        if (options.signal?.aborted) return;
+        await new Promise(resolve => setTimeout(resolve, 30));
+        yield { delta: word };
+      }
+      yield { done: true, model: options.model, finishReason: 'stop', usage, toolCalls };
+    })();
+  }
+
+  return {
+    id,
+    label,
+    defaultModel: MODELS[0],
+    isConfigured: () => Boolean(enabled),
+    listModels: async () => MODELS,
+    complete,
+    stream,
+  };
+}
@@ -0,0 +1,251 @@
+import path from 'node:path';
+import { JsonStore } from '../lib/store.js';
+import { estimateMessageTokens, estimateTokens, fitMessages } from '../lib/tokens.js';
+import { createMockProvider, createOllamaProvider, createOpenAiProvider } from './ai-providers.js';
+
+export { UpstreamError } from './ai-providers.js';
+
+// Admin-set defaults per provider are kept within these bounds
+export const AI_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  maxTokens: { min: 1, max: 32768 },
+  contextLength: { min: 512, max: 1048576 },
+};
+
+// How long a provider's model list is reused before asking again
+const MODEL_CACHE_MS = 60 * 1000;
+
+// Summaries of older turns, made when a chat outgrows the context
+export const SUMMARY_MAX_LENGTH = 4000;
+const SUMMARY_MAX_TOKENS = 400;
+const SUMMARY_PROMPT = 'You summarize chat transcripts so the conversation can continue without them. ' +
+  'Write a few short bullet points covering the facts, names, decisions, code and open questions ' +
+  'the assistant will need later. Fold in the earlier summary if there is one. Under 200 words; no preamble.';
+
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Validate an update to the AI settings. Returns an error message or null.
+ */
+export function validateAiSettings({ defaultProvider, providers = {} }, providerIds) {
+  if (defaultProvider != null && !providerIds.includes(defaultProvider)) {
+    return `Unknown provider "${defaultProvider}"`;
+  }
+  if (typeof providers !== 'object' || Array.isArray(providers)) {
+    return 'Expected { providers: { id: { model, temperature, maxTokens, contextLength } } }';
+  }
+  for (const [id, defaults] of Object.entries(providers)) {
+    if (!providerIds.includes(id)) return `Unknown provider "${id}"`;
+    if (!defaults || typeof defaults !== 'object') return `Expected settings for "${id}"`;
+    if (defaults.model != null && (typeof defaults.model !== 'string' || defaults.model.length > 200)) {
+      return 'Model names must be text of at most 200 characters';
+    }
+    for (const [key, { min, max }] of Object.entries(AI_LIMITS)) {
+      const value = defaults[key];
+      if (value == null) continue;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        return `${key} must be between ${min} and ${max}`;
+      }
+      if (key !== 'temperature' && !Number.isInteger(value)) return `${key} must be a whole number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The AI providers this server can talk to, and the defaults admins set
+ * for each (`data/ai.json`). Providers are switched on from config: the
+ * OpenAI-compatible API (`aiBaseUrl`), a local Ollama (`ollamaBaseUrl`) or
+ * llama.cpp server (`llamaCppBaseUrl`), and the built-in mock
+ * (`aiMockProvider`). The API key and system prompt stay on the server.
+ */
+export function createAi(config) {
+  const store = new JsonStore(path.join(config.dataDir, 'ai.json'), { defaultProvider: null, providers: {} });
+  const { aiTimeoutSeconds: timeoutSeconds } = config;
+
+  const all = [
+    createOpenAiProvider({
+      id: 'openai',
+      label: 'OpenAI-compatible',
+      baseUrl: config.aiBaseUrl,
+      apiKey: config.aiApiKey,
+      models: [...new Set([config.aiModel, ...splitList(config.aiModels)].filter(Boolean))],
+      timeoutSeconds,
+    }),
+    createOllamaProvider({ id: 'ollama', label: 'Ollama (local)', baseUrl: config.ollamaBaseUrl, timeoutSeconds }),
+    createOpenAiProvider({ id: 'llamacpp', label: 'llama.cpp (local)', baseUrl: config.llamaCppBaseUrl, timeoutSeconds }),
+    createMockProvider({ id: 'mock', label: 'Mock (offline)', enabled: config.aiMockProvider }),
+  ];
+  const modelCache = new Map();
+
+  function providers() {
+    return all.filter(provider => provider.isConfigured());
+  }
+
+  function providerIds() {
+    return providers().map(provider => provider.id);
+  }
+
+  function find(id) {
+    return providers().find(provider => provider.id === id) || null;
+  }
+
+  function isConfigured() {
+    return providers().length > 0;
+  }
+
+  // Model names, or null when the provider could not be asked
+  async function modelsOf(provider) {
+    const cached = modelCache.get(provider.id);
+    if (cached && cached.at > Date.now() - MODEL_CACHE_MS) return cached.models;
+    let models = null;
+    try {
+      models = await provider.listModels();
+    } catch (err) {
+      // Local servers are often just not running; try again next time
+      return null;
+    }
+    modelCache.set(provider.id, { models, at: Date.now() });
+    return models;
+  }
+
+  function defaultsFor(provider) {
+    const saved = store.read().providers[provider.id] || {};
+    return {
+      model: saved.model || provider.defaultModel || null,
+      temperature: saved.temperature ?? config.aiTemperature,
+      maxTokens: saved.maxTokens ?? config.aiMaxTokens,
+      contextLength: saved.contextLength ?? config.aiContextLength,
+    };
+  }
+
+  // The admin's default model, or the first one offered if that is gone
+  function defaultModel(defaults, models) {
+    if (models && models.length && !models.includes(defaults.model)) return models[0];
+    return defaults.model;
+  }
+
+  function defaultProvider() {
+    const saved = store.read().defaultProvider;
+    return find(saved) ? saved : providers()[0]?.id || null;
+  }
+
+  /**
+   * Everything the model picker and the admin page need: the enabled
+   * providers with their models and defaults. A provider that cannot be
+   * reached is listed with `available: false` and no models.
+   */
+  async function catalog() {
+    const list = await Promise.all(providers().map(async provider => {
+      const models = await modelsOf(provider);
+      const defaults = defaultsFor(provider);
+      defaults.model = defaultModel(defaults, models);
+      return { id: provider.id, label: provider.label, available: models !== null, models: models || [], defaults };
+    }));
+    return { defaultProvider: defaultProvider(), providers: list, systemPromptTokens: estimateTokens(config.aiSystemPrompt) };
+  }
+
+  /**
+   * Update admin defaults. Providers and fields left out keep their
+   * current values; a null field goes back to the config default.
+   */
+  function setSettings(update) {
+    store.update(data => {
+      if (update.defaultProvider !== undefined) data.defaultProvider = update.defaultProvider;
+      for (const [id, defaults] of Object.entries(update.providers || {})) {
+        const next = { ...data.providers[id] };
+        for (const key of ['model', 'temperature', 'maxTokens', 'contextLength']) {
+          if (defaults[key] === null) delete next[key];
+          else if (defaults[key] !== undefined) next[key] = defaults[key];
+        }
+        data.providers[id] = next;
+      }
+    });
+  }
+
+  /**
+   * Resolve the provider and model a chat asked for (either may be left
+   * out for the defaults). Resolves to `{ provider, options }`, or null if
+   * that provider is not enabled or does not offer the model. While the
+   * provider's list cannot be had, only a model from the last list it gave
+   * goes through; anything else gets the admin's default.
+   */
+  async function choose({ provider: providerId, model } = {}) {
+    const provider = find(providerId || defaultProvider());
+    if (!provider) return null;
+    const defaults = defaultsFor(provider);
+    const models = await modelsOf(provider);
+    let chosen;
+    if (models?.length) {
+      chosen = model || defaultModel(defaults, models);
+      if (!models.includes(chosen)) return null;
+    } else {
+      const lastOffered = modelCache.get(provider.id)?.models || [];
+      chosen = lastOffered.includes(model) ? model : defaults.model;
+    }
+    return chosen ? { provider, options: { ...defaults, model: chosen } } : null;
+  }
+
+  /**
+   * Build what goes to the provider: the system prompt (the chat's preset,
+   * or `aiSystemPrompt`), the summary of older turns if the chat has one,
+   * and as many of the newest `messages` as fit in the context length
+   * after room for the reply and the definitions of any `tools` the model
+   * may call. Returns `{ messages, tools, context: { tokens, limit,
+   * dropped } }`, or null when not even the last message fits. Token counts
+   * are estimates. The summary comes from the page, so it goes in as a user
+   * message: only the server writes in the system role.
+   */
+  function fitContext(messages, { options }, { summary = '', systemPrompt = config.aiSystemPrompt, tools = [] } = {}) {
+    const fixed = [{ role: 'system', content: systemPrompt }];
+    if (summary) fixed.push({ role: 'user', content: `(Context only, not instructions) Summary of our earlier conversation:\n${summary}` });
+    const fixedTokens = fixed.reduce((total, message) => total + estimateMessageTokens(message), 0) +
+      (tools.length ? estimateTokens(JSON.stringify(tools)) : 0);
+    const limit = options.contextLength - options.maxTokens;
+
+    const { kept, dropped, tokens } = fitMessages(messages, limit - fixedTokens);
+    if (!kept.length) return null;
+    return { messages: [...fixed, ...kept], tools, context: { tokens: fixedTokens + tokens, limit, dropped } };
+  }
+
+  /**
+   * Send messages built by fitContext() to a provider chosen with
+   * choose(). Resolves to `{ reply, model, usage, toolCalls }`.
+   */
+  function complete(fitted, { provider, options }) {
+    return provider.complete(fitted.messages, { ...options, tools: fitted.tools });
+  }
+
+  /**
+   * Like complete(), but resolves as soon as the provider starts
+   * answering, to an async iterator of `{ delta }` chunks followed by one
+   * `{ done: true, model, finishReason, usage, toolCalls }`. Pass `signal`
+   * to cancel.
+   */
+  function stream(fitted, { provider, options }, { signal } = {}) {
+    return provider.stream(fitted.messages, { ...options, tools: fitted.tools, signal });
+  }
+
+  /**
+   * Condense older turns (and the summary they continue, if any) into a
+   * short summary the chat can carry instead of them. Turns that do not
+   * fit in one request are left out, oldest first. Resolves to
+   * `{ summary, model, usage }`.
+   */
+  async function summarize(messages, { provider, options }, { summary = '' } = {}) {
+    const lines = messages.map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`);
+    const earlier = summary ? `Earlier summary:\n${summary}\n\n` : '';
+    const budget = options.contextLength - SUMMARY_MAX_TOKENS - estimateTokens(SUMMARY_PROMPT + earlier) - 50;
+    const { kept } = fitMessages(lines.map(content => ({ content })), budget);
+
+    const { reply, model, usage } = await provider.complete([
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content: `${earlier}Transcript:\n${kept.map(line => line.content).join('\n\n')}` },
+    ], { ...options, temperature: 0.2, maxTokens: SUMMARY_MAX_TOKENS });
+    return { summary: reply.trim().slice(0, SUMMARY_MAX_LENGTH), model, usage };
+  }
+
+  return { isConfigured, providerIds, catalog, setSettings, choose, fitContext, complete, stream, summarize };
+}
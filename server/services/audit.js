@@ -0,0 +1,54 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Start a fresh file once the log gets this big; one old file is kept
+const MAX_LOG_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Append-only security log (`data/audit.log`, one JSON object per line).
+ * Admins read it with `npm run admin -- audit list`.
+ */
+export function createAudit(config) {
+  const file = path.join(config.dataDir, 'audit.log');
+
+  function rotate() {
+    try {
+      if (fs.statSync(file).size > MAX_LOG_BYTES) fs.renameSync(file, `${file}.1`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  function record(type, details = {}) {
+    const entry = { at: Date.now(), type, ...details };
+    fs.mkdirSync(config.dataDir, { recursive: true });
+    rotate();
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    return entry;
+  }
+
+  /**
+   * Most recent entries first, optionally only those of one `type`.
+   */
+  function list({ type, limit = 50 } = {}) {
+    let lines;
+    try {
+      lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const entries = [];
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (!type || entry.type === type) entries.push(entry);
+      } catch (err) {
+        // Skip a line cut short by a crash mid-write
+      }
+    }
+    return entries;
+  }
+
+  return { record, list };
+}
@@ -0,0 +1,94 @@
+import { GAMES_SEARCH_LIMIT } from './games.js';
+
+// Sent to the model as OpenAI-style function definitions
+const DEFINITIONS = [
+  {
+    name: 'search_games',
+    description: 'Search the UBG games catalog by game name and/or tags (such as "multiplayer" or ' +
+      '"puzzle"). Returns matching games with their ids; the user sees them as cards they can click.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Part of the game name; leave empty to match any name' },
+        tags: { type: 'array', items: { type: 'string' }, description: 'Tags every result must have' },
+        limit: { type: 'integer', minimum: 1, maximum: GAMES_SEARCH_LIMIT },
+      },
+    },
+  },
+  {
+    name: 'open_game',
+    description: 'Give the user a link that opens one game on the games page. Use an id from search_games.',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer', description: 'The game id' },
+      },
+      required: ['id'],
+    },
+  },
+];
+
+// When there are no matches the model is told some tags it could try
+const TAG_HINTS = 40;
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Tools the chat model may call while answering (`aiTools`): searching the
+ * games catalog and linking to a game. Each call resolves to `{ content,
+ * games }`: `content` goes back to the model, `games` are the cards the
+ * chat page shows.
+ */
+export function createChatTools(config, { games }) {
+  function definitions() {
+    return config.aiTools ? DEFINITIONS : [];
+  }
+
+  async function searchGames({ query = '', tags = [], limit = GAMES_SEARCH_LIMIT }) {
+    if (typeof query !== 'string' || !isStringList(tags)) {
+      return { error: 'Expected { query, tags: [...] }' };
+    }
+    const count = Number.isInteger(limit) ? Math.min(Math.max(limit, 1), GAMES_SEARCH_LIMIT) : GAMES_SEARCH_LIMIT;
+    const found = await games.search({ query, tags, limit: count });
+    if (!found.games.length) {
+      return { result: { games: [], total: 0, someTags: (await games.tags()).slice(0, TAG_HINTS) } };
+    }
+    return { result: { games: found.games.map(({ id, name, tags: gameTags }) => ({ id, name, tags: gameTags })), total: found.total }, games: found.games };
+  }
+
+  async function openGame({ id }) {
+    if (id == null || !['number', 'string'].includes(typeof id)) return { error: 'Expected { id }' };
+    const game = await games.find(id);
+    if (!game) return { error: `There is no game with id ${id}` };
+    return { result: { id: game.id, name: game.name, url: game.url }, games: [{ ...game, opened: true }] };
+  }
+
+  const RUN = { search_games: searchGames, open_game: openGame };
+
+  /**
+   * Run one call the model made, `{ name, arguments }`. Problems (an
+   * unknown tool, bad arguments, the catalog being down) are reported back
+   * to the model rather than thrown, so it can tell the user.
+   */
+  async function run({ name, arguments: args }) {
+    const tool = RUN[name];
+    let outcome;
+    if (!tool || !definitions().some(definition => definition.name === name)) {
+      outcome = { error: `Unknown tool "${name}"` };
+    } else {
+      try {
+        outcome = await tool(args && typeof args === 'object' ? args : {});
+      } catch (err) {
+        outcome = { error: 'The games catalog could not be loaded right now' };
+      }
+    }
+    return {
+      content: JSON.stringify(outcome.error ? { error: outcome.error } : outcome.result),
+      games: outcome.games || [],
+    };
+  }
+
+  return { definitions, run };
+}
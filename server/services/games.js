@@ -0,0 +1,89 @@
+// The base games/script.js fills into the catalog's `{COVER_URL}` links
+const COVER_URL = 'https://cdn.jsdelivr.net/gh/%67%6e%2d%6d%61%74%68/covers@main';
+
+// How long a loaded catalog is reused before fetching it again
+const CACHE_MS = 10 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+export const GAMES_SEARCH_LIMIT = 8;
+
+/**
+ * Deep link to a game on the games page, which opens it on load.
+ */
+export function gameLink(id) {
+  return `/games/?id=${encodeURIComponent(id)}`;
+}
+
+/**
+ * The games catalog: the same `zones.json` that listZones() in
+ * games/script.js loads (`gamesCatalogUrl`), fetched on first use and
+ * cached for a while. Used by the AI chat's game tools.
+ */
+export function createGames(config) {
+  let cache = null;
+  let loading = null;
+
+  async function fetchZones() {
+    const response = await fetch(`${config.gamesCatalogUrl}?t=${Date.now()}`, {
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`The games catalog answered ${response.status}`);
+    const list = await response.json();
+    if (!Array.isArray(list)) throw new Error('The games catalog is not a list');
+    const zones = list.filter(zone => zone && zone.id != null && typeof zone.name === 'string');
+    cache = { zones, at: Date.now() };
+    return zones;
+  }
+
+  // A stale catalog beats none when the CDN is down
+  async function zones() {
+    if (cache && cache.at > Date.now() - CACHE_MS) return cache.zones;
+    loading = loading || fetchZones().finally(() => {
+      loading = null;
+    });
+    try {
+      return await loading;
+    } catch (err) {
+      if (cache) return cache.zones;
+      throw err;
+    }
+  }
+
+  function card(zone) {
+    return {
+      id: zone.id,
+      name: zone.name,
+      tags: Array.isArray(zone.special) ? zone.special : [],
+      cover: typeof zone.cover === 'string' ? zone.cover.replace('{COVER_URL}', COVER_URL) : null,
+      url: gameLink(zone.id),
+    };
+  }
+
+  /**
+   * Games whose name contains `query` (any case) and that carry every tag
+   * in `tags`, as the games page's search box and tag filter match them.
+   * Resolves to `{ games, total }`, with at most `limit` cards in `games`.
+   */
+  async function search({ query = '', tags = [], limit = GAMES_SEARCH_LIMIT } = {}) {
+    const needle = query.trim().toLowerCase();
+    const wanted = tags.map(tag => tag.toLowerCase());
+    const matches = (await zones()).filter(zone =>
+      zone.name.toLowerCase().includes(needle) &&
+      wanted.every(tag => (zone.special || []).some(special => String(special).toLowerCase() === tag))
+    );
+    return { games: matches.slice(0, limit).map(card), total: matches.length };
+  }
+
+  // The card for game `id`, or null when there is no such game
+  async function find(id) {
+    const zone = (await zones()).find(item => String(item.id) === String(id));
+    return zone ? card(zone) : null;
+  }
+
+  // Every tag in the catalog, for the search tool's description
+  async function tags() {
+    return [...new Set((await zones()).flatMap(zone => (Array.isArray(zone.special) ? zone.special : [])))];
+  }
+
+  return { search, find, tags };
+}
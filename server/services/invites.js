@@ -0,0 +1,105 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { JsonStore } from '../lib/store.js';
+
+// No 0/O or 1/I so codes survive being read aloud or copied by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+export function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+export function inviteStatus(invite, now = Date.now()) {
+  if (invite.revokedAt) return 'revoked';
+  if (invite.expiresAt && invite.expiresAt <= now) return 'expired';
+  if (invite.maxUses && invite.uses >= invite.maxUses) return 'used up';
+  return 'active';
+}
+
+/**
+ * Invite codes replace the single shared PIN. Only a hash of each code is
+ * stored; the plain code is shown once, when it is minted.
+ */
+export function createInvites(config) {
+  const store = new JsonStore(path.join(config.dataDir, 'invites.json'), { invites: [] });
+
+  /**
+   * Mint a new code. `maxUses` and `expiresAt` (ms timestamp) are optional;
+   * `role` is the role given to sessions made with it.
+   * Returns the stored invite plus the plain `code`.
+   */
+  function create({ label = '', maxUses = null, expiresAt = null, role = 'member' } = {}) {
+    const code = generateCode();
+    const invite = {
+      id: crypto.randomBytes(4).toString('hex'),
+      codeHash: hashCode(code),
+      label,
+      role,
+      maxUses,
+      uses: 0,
+      expiresAt,
+      createdAt: Date.now(),
+      revokedAt: null,
+    };
+    store.update(data => data.invites.push(invite));
+    return { ...invite, code };
+  }
+
+  function list() {
+    return store.read().invites;
+  }
+
+  function find(id) {
+    return list().find(invite => invite.id === id) || null;
+  }
+
+  /**
+   * Use up one redemption of `code`. Returns `{ invite }` on success or
+   * `{ reason }` explaining why the code was refused.
+   */
+  function redeem(code) {
+    const hash = hashCode(code);
+    return store.update(data => {
+      const invite = data.invites.find(item => item.codeHash === hash);
+      if (!invite) return { reason: 'invalid' };
+      const status = inviteStatus(invite);
+      if (status !== 'active') return { reason: status };
+      invite.uses += 1;
+      invite.lastUsedAt = Date.now();
+      return { invite };
+    });
+  }
+
+  function revoke(id) {
+    return store.update(data => {
+      const invite = data.invites.find(item => item.id === id);
+      if (!invite) return null;
+      if (!invite.revokedAt) invite.revokedAt = Date.now();
+      return invite;
+    });
+  }
+
+  /**
+   * Sessions stay valid while the invite they came from is not revoked.
+   * An invite that expires or runs out of uses keeps its existing sessions.
+   */
+  function allowsSession(id) {
+    const invite = find(id);
+    return Boolean(invite && !invite.revokedAt);
+  }
+
+  return { create, list, find, redeem, revoke, allowsSession };
+}
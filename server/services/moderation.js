@@ -0,0 +1,365 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { JsonStore } from '../lib/store.js';
+
+// Strongest first; the strongest action any flag asks for wins
+export const MODERATION_ACTIONS = ['block', 'warn', 'log', 'off'];
+export const REVIEW_STATUSES = ['open', 'confirmed', 'dismissed'];
+
+export const MODERATION_LIMITS = {
+  terms: 200,
+  termLength: 200,
+  queue: 1000,
+  excerptLength: 2000,
+};
+
+// How much of a streamed reply is scanned again with each new piece, so a
+// term split across pieces still matches
+const STREAM_OVERLAP = MODERATION_LIMITS.termLength * 2;
+
+const BLOCK_MESSAGE = "Sorry, I can't help with that one. Let's keep things school-friendly. Try asking something else!";
+const WARN_MESSAGE = 'Heads up: this conversation has been flagged for a staff member to look at.';
+
+// The categories are fixed; admins choose each one's action and terms.
+// `stages` says whether it screens what people send, replies, or both.
+const CATEGORIES = [
+  {
+    id: 'self-harm',
+    label: 'Self-harm',
+    description: 'suicide, self-harm or wanting to die',
+    stages: ['input', 'output'],
+    action: 'warn',
+    keywords: ['kill myself', 'suicide', 'suicidal', 'self harm', 'self-harm', 'cut myself', 'end my life', 'want to die'],
+    patterns: [],
+    message: "It sounds like things might be really hard right now. You don't have to deal with it alone: " +
+      'please talk to someone you trust, like a parent, teacher or school counselor, or contact a crisis line ' +
+      '(in the US, call or text 988).',
+  },
+  {
+    id: 'sexual',
+    label: 'Sexual content',
+    description: 'sexual or pornographic content',
+    stages: ['input', 'output'],
+    action: 'block',
+    keywords: ['porn', 'pornography', 'nudes', 'hentai', 'onlyfans', 'nsfw', 'xxx'],
+    patterns: [],
+  },
+  {
+    id: 'weapons',
+    label: 'Weapons and explosives',
+    description: 'making or getting weapons or explosives',
+    stages: ['input', 'output'],
+    action: 'block',
+    keywords: ['make a bomb', 'build a bomb', 'pipe bomb', 'make a gun', '3d printed gun', 'make explosives'],
+    patterns: [],
+  },
+  {
+    id: 'violence',
+    label: 'Violence and threats',
+    description: 'threats or plans to hurt other people',
+    stages: ['input', 'output'],
+    action: 'log',
+    keywords: ['school shooting', 'shoot up', 'beat you up', 'stab you'],
+    patterns: [],
+  },
+  {
+    id: 'harassment',
+    label: 'Bullying and hate',
+    description: 'bullying, harassment or hate against people or groups',
+    stages: ['input', 'output'],
+    action: 'warn',
+    keywords: ['kill yourself', 'kys', 'nobody likes you', 'you are worthless', "you're worthless"],
+    patterns: [],
+  },
+  {
+    id: 'personal-info',
+    label: 'Personal information',
+    description: 'someone sharing their phone number, home address or email address',
+    stages: ['input'],
+    action: 'warn',
+    keywords: ['my address is', 'i live at', 'my phone number is'],
+    patterns: ['[\\w.+-]+@[\\w-]+\\.[\\w.]+', '\\b\\d{3}[-. ]?\\d{3}[-. ]?\\d{4}\\b'],
+    message: 'Remember not to share personal details like your phone number, address or email online, ' +
+      'not even with an AI. This message has been flagged for a staff member to look at.',
+  },
+  {
+    id: 'profanity',
+    label: 'Profanity',
+    description: 'swearing',
+    stages: ['input', 'output'],
+    action: 'log',
+    keywords: ['fuck', 'fucking', 'shit', 'bitch', 'asshole'],
+    patterns: [],
+  },
+];
+
+const MODEL_PROMPT = 'You are a content moderator for a website used by school students. Decide which ' +
+  'of the categories below the text falls into, if any. Answer with JSON only, like ' +
+  '{"categories": ["id"]}, and an empty list when none apply.\n\nCategories:\n';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A keyword matches as whole words, with any run of spaces between them
+function keywordPattern(keyword) {
+  return `(?<![\\w])${keyword.trim().split(/\s+/).map(escapeRegExp).join('\\s+')}(?![\\w])`;
+}
+
+function defaultPolicy() {
+  return {
+    categories: Object.fromEntries(CATEGORIES.map(({ id, action, keywords, patterns }) => [id, { action, keywords, patterns }])),
+    model: { enabled: false, provider: null, model: null },
+  };
+}
+
+function isTermList(list) {
+  return Array.isArray(list) && list.length <= MODERATION_LIMITS.terms &&
+    list.every(term => typeof term === 'string' && term.trim() && term.length <= MODERATION_LIMITS.termLength);
+}
+
+/**
+ * Validate an update to the moderation policy:
+ * `{ categories: { <id>: { action, keywords, patterns } }, model: { enabled,
+ * provider, model } }`. Returns an error message or null.
+ */
+export function validateModerationPolicy({ categories = {}, model }) {
+  if (typeof categories !== 'object' || Array.isArray(categories)) {
+    return 'Expected { categories: { <id>: { action, keywords, patterns } } }';
+  }
+  for (const [id, update] of Object.entries(categories)) {
+    if (!CATEGORIES.some(category => category.id === id)) return `Unknown category "${id}"`;
+    if (!update || typeof update !== 'object') return `Expected settings for "${id}"`;
+    if (update.action !== undefined && !MODERATION_ACTIONS.includes(update.action)) {
+      return `Actions must be one of: ${MODERATION_ACTIONS.join(', ')}`;
+    }
+    for (const key of ['keywords', 'patterns']) {
+      if (update[key] !== undefined && !isTermList(update[key])) {
+        return `Expected at most ${MODERATION_LIMITS.terms} ${key} of up to ${MODERATION_LIMITS.termLength} characters`;
+      }
+    }
+    for (const pattern of update.patterns || []) {
+      try {
+        new RegExp(pattern, 'iu');
+      } catch (err) {
+        return `"${pattern}" is not a valid pattern`;
+      }
+    }
+  }
+  if (model !== undefined) {
+    if (!model || typeof model !== 'object' || typeof model.enabled !== 'boolean') {
+      return 'Expected { model: { enabled, provider, model } }';
+    }
+    for (const key of ['provider', 'model']) {
+      if (model[key] != null && (typeof model[key] !== 'string' || model[key].length > 200)) {
+        return `The moderation ${key} must be a name`;
+      }
+    }
+  }
+  return null;
+}
+
+function excerpt(text) {
+  return text.length > MODERATION_LIMITS.excerptLength ? text.slice(0, MODERATION_LIMITS.excerptLength) + '…' : text;
+}
+
+/**
+ * Screens what goes into and comes out of the AI chat. A local policy of
+ * keywords and regular expressions per category runs on everything; a
+ * moderation model (any chat model, asked to classify) can run as well.
+ * Each category is set to block, warn, log or off, and every flagged
+ * exchange goes to a review queue for admins. Both live in
+ * `data/moderation.json`. Turning `aiModeration` off lets everything through.
+ */
+export function createModeration(config, { ai }) {
+  const store = new JsonStore(path.join(config.dataDir, 'moderation.json'), { policy: defaultPolicy(), queue: [] });
+  let compiled = null;
+
+  function policy() {
+    const saved = store.read().policy;
+    const defaults = defaultPolicy();
+    return {
+      categories: Object.fromEntries(CATEGORIES.map(({ id }) => [id, { ...defaults.categories[id], ...saved.categories?.[id] }])),
+      model: { ...defaults.model, ...saved.model },
+    };
+  }
+
+  // Categories with their saved settings and one regular expression each
+  function rules() {
+    if (!compiled) {
+      const current = policy();
+      compiled = CATEGORIES.map(category => {
+        const { action, keywords, patterns } = current.categories[category.id];
+        const sources = [...keywords.map(keywordPattern), ...patterns];
+        return { ...category, action, regex: sources.length ? new RegExp(sources.join('|'), 'iu') : null };
+      });
+    }
+    return compiled;
+  }
+
+  function describe() {
+    return {
+      categories: CATEGORIES.map(({ id, label, description, stages }) => ({ id, label, description, stages })),
+      actions: MODERATION_ACTIONS,
+      limits: MODERATION_LIMITS,
+      policy: policy(),
+    };
+  }
+
+  function setPolicy(update) {
+    const next = policy();
+    for (const [id, changes] of Object.entries(update.categories || {})) {
+      Object.assign(next.categories[id], changes);
+    }
+    if (update.model) next.model = { enabled: update.model.enabled, provider: update.model.provider || null, model: update.model.model || null };
+    store.update(data => {
+      data.policy = next;
+    });
+    compiled = null;
+    return describe();
+  }
+
+  function flagsFrom(categories, source, match = null) {
+    return categories.filter(category => category.action !== 'off').map(category => ({ category: category.id, source, match }));
+  }
+
+  /**
+   * Check `text` against the local policy for `stage` ('input' or
+   * 'output'). Returns the flags, `[{ category, source, match }]`.
+   * Cheap enough to run on a reply as it streams in.
+   */
+  function matchPolicy(text, stage) {
+    const flags = [];
+    if (!config.aiModeration) return flags;
+    for (const rule of rules()) {
+      if (rule.action === 'off' || !rule.regex || !rule.stages.includes(stage)) continue;
+      const found = text.match(rule.regex);
+      if (found) flags.push(...flagsFrom([rule], 'policy', found[0]));
+    }
+    return flags;
+  }
+
+  /**
+   * matchPolicy() for text that arrives in pieces, like a streamed reply.
+   * Returns a function that takes each new piece and returns its flags.
+   * Only the piece and the end of what came before it are scanned, so a
+   * long reply costs linear time; matches longer than that are left to a
+   * final check of the whole text.
+   */
+  function streamMatcher(stage) {
+    let tail = '';
+    return piece => {
+      const text = tail + piece;
+      tail = text.length > STREAM_OVERLAP
+        // Start after a space so the end of a cut-off word can't match
+        ? text.slice(-STREAM_OVERLAP).replace(/^\S*\s?/u, '')
+        : text;
+      return matchPolicy(text, stage);
+    };
+  }
+
+  // Asks the moderation model; its failures never stop a chat
+  async function askModel(text, stage, onUsage) {
+    const { model } = policy();
+    if (!config.aiModeration || !model.enabled) return [];
+    const choice = await ai.choose({ provider: model.provider, model: model.model });
+    if (!choice) return [];
+    const candidates = rules().filter(rule => rule.action !== 'off' && rule.stages.includes(stage));
+    if (!candidates.length) return [];
+
+    const prompt = MODEL_PROMPT + candidates.map(rule => `- ${rule.id}: ${rule.description}`).join('\n');
+    try {
+      const result = await choice.provider.complete([
+        { role: 'system', content: prompt },
+        { role: 'user', content: text },
+      ], { ...choice.options, temperature: 0, maxTokens: 60 });
+      if (onUsage) onUsage(choice, result, prompt + text);
+      const json = JSON.parse((result.reply.match(/\{[\s\S]*\}/) || ['{}'])[0]);
+      const named = Array.isArray(json.categories) ? json.categories : [];
+      return flagsFrom(candidates.filter(rule => named.includes(rule.id)), 'model');
+    } catch (err) {
+      return [];
+    }
+  }
+
+  /**
+   * The outcome of a set of flags: `{ action, flags, categories, message }`,
+   * where `action` is the strongest any flagged category asks for (or null
+   * with no flags) and `message` is what to tell the person.
+   */
+  function verdict(flags) {
+    const byId = new Map(rules().map(rule => [rule.id, rule]));
+    const categories = [...new Set(flags.map(flag => flag.category))];
+    let action = null;
+    for (const candidate of MODERATION_ACTIONS) {
+      if (categories.some(id => byId.get(id).action === candidate)) {
+        action = candidate;
+        break;
+      }
+    }
+    const deciding = categories.map(id => byId.get(id)).find(rule => rule.action === action);
+    const message = action === 'block' || action === 'warn'
+      ? deciding.message || (action === 'block' ? BLOCK_MESSAGE : WARN_MESSAGE)
+      : null;
+    return { action, flags, categories, message };
+  }
+
+  /**
+   * Screen text with the policy and, when it is on, the moderation model.
+   * `onUsage(choice, result, promptText)` is called after a model request
+   * so it can be metered. Resolves to a verdict().
+   */
+  async function check(text, stage, { onUsage } = {}) {
+    const flags = matchPolicy(text, stage);
+    const flagged = new Set(flags.map(flag => flag.category));
+    const fromModel = (await askModel(text, stage, onUsage)).filter(flag => !flagged.has(flag.category));
+    return verdict([...flags, ...fromModel]);
+  }
+
+  /**
+   * Put a flagged exchange in the review queue. The oldest reviewed
+   * entries make room once it is full.
+   */
+  function report({ owner, label, stage, result, prompt, reply = null }) {
+    const entry = {
+      id: crypto.randomBytes(8).toString('base64url'),
+      at: Date.now(),
+      owner,
+      label,
+      stage,
+      action: result.action,
+      categories: result.categories,
+      flags: result.flags,
+      prompt: excerpt(prompt),
+      reply: reply === null ? null : excerpt(reply),
+      status: 'open',
+    };
+    store.update(data => {
+      data.queue.push(entry);
+      while (data.queue.length > MODERATION_LIMITS.queue) {
+        const reviewed = data.queue.findIndex(item => item.status !== 'open');
+        data.queue.splice(reviewed < 0 ? 0 : reviewed, 1);
+      }
+    });
+    return entry;
+  }
+
+  // Newest first, optionally only those with `status`
+  function queue({ status } = {}) {
+    const all = store.read().queue;
+    const entries = all.filter(entry => !status || entry.status === status).reverse();
+    return { entries, open: all.filter(entry => entry.status === 'open').length };
+  }
+
+  // Mark an entry reviewed; null when there is no such entry
+  function review(id, status, by) {
+    return store.update(data => {
+      const entry = data.queue.find(item => item.id === id);
+      if (!entry) return null;
+      Object.assign(entry, { status, reviewedBy: by, reviewedAt: Date.now() });
+      return entry;
+    });
+  }
+
+  return { describe, setPolicy, matchPolicy, streamMatcher, verdict, check, report, queue, review };
+}
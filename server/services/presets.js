@@ -0,0 +1,209 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { JsonStore } from '../lib/store.js';
+import { estimateTokens } from '../lib/tokens.js';
+
+export const PRESET_LIMITS = {
+  nameLength: 60,
+  descriptionLength: 200,
+  promptLength: 4000,
+  presets: 30,
+  customPerOwner: 20,
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// Until an admin saves their own list. `prompt: null` is the configured
+// `aiSystemPrompt`, the ULTRA AI persona.
+const DEFAULT_PRESETS = [
+  { id: 'ultra', name: 'ULTRA AI', description: 'The friendly all-round assistant', prompt: null },
+  {
+    id: 'grammar-tutor',
+    name: 'Grammar tutor',
+    description: 'Corrects your writing and explains why',
+    prompt: 'You are a patient grammar tutor. When the user writes something, point out each mistake in ' +
+      'spelling, grammar or punctuation, show the corrected text, and explain each rule briefly in plain ' +
+      'language. If there are no mistakes, say so and suggest one way to make the writing clearer.',
+  },
+  {
+    id: 'coding-helper',
+    name: 'Coding helper',
+    description: 'Explains, writes and debugs code',
+    prompt: 'You are an experienced programmer helping a student. Answer with working code in fenced ' +
+      'Markdown blocks tagged with their language, explain the important lines, and mention common ' +
+      'mistakes to avoid. Ask which language they use when it matters and is not clear.',
+  },
+  {
+    id: 'concise',
+    name: 'Concise answers',
+    description: 'Short, direct answers without padding',
+    prompt: 'You are a helpful assistant who answers as briefly as possible: one or two sentences, or a ' +
+      'short list. No greetings, no restating the question, no closing offers of further help.',
+  },
+  {
+    id: 'socratic',
+    name: 'Socratic study coach',
+    description: 'Guides you to the answer with questions',
+    prompt: 'You are a Socratic study coach. Do not give away answers to homework or study questions. ' +
+      'Instead, ask one guiding question at a time, build on what the student already knows, and confirm ' +
+      'when they reach the answer themselves. Give a direct hint only after two unsuccessful tries.',
+  },
+];
+
+function validatePreset({ name, description = '', prompt }, { customPrompt = false } = {}) {
+  if (typeof name !== 'string' || !name.trim() || name.length > PRESET_LIMITS.nameLength) {
+    return `Names must be 1 to ${PRESET_LIMITS.nameLength} characters`;
+  }
+  if (typeof description !== 'string' || description.length > PRESET_LIMITS.descriptionLength) {
+    return `Descriptions can be at most ${PRESET_LIMITS.descriptionLength} characters`;
+  }
+  // Admin presets may leave the prompt empty for the configured one
+  if (prompt == null && !customPrompt) return null;
+  if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > PRESET_LIMITS.promptLength) {
+    return `Prompts must be 1 to ${PRESET_LIMITS.promptLength} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate the admin's preset list, `[{ id, name, description, prompt }]`,
+ * and the default chosen from it. Returns an error message or null.
+ */
+export function validatePresets(presets, defaultPreset) {
+  if (!Array.isArray(presets) || !presets.length || presets.length > PRESET_LIMITS.presets) {
+    return `Expected { presets: [{ id, name, description, prompt }] } with 1 to ${PRESET_LIMITS.presets} presets`;
+  }
+  const ids = new Set();
+  for (const preset of presets) {
+    if (!preset || typeof preset !== 'object') return 'Expected { id, name, description, prompt }';
+    if (typeof preset.id !== 'string' || !ID_PATTERN.test(preset.id)) {
+      return 'Preset ids must be lowercase letters, digits and dashes';
+    }
+    if (ids.has(preset.id)) return `Preset "${preset.id}" is listed twice`;
+    ids.add(preset.id);
+    const problem = validatePreset(preset);
+    if (problem) return problem;
+  }
+  if (defaultPreset != null && !ids.has(defaultPreset)) return `Unknown preset "${defaultPreset}"`;
+  return null;
+}
+
+/**
+ * Validate a custom prompt, `{ name, prompt }`. Returns an error message
+ * or null.
+ */
+export function validateCustomPrompt(update) {
+  return validatePreset({ name: update.name, prompt: update.prompt }, { customPrompt: true });
+}
+
+/**
+ * Personas for the assistant: presets admins define for everyone, and
+ * private custom prompts each person writes for themselves (kept per
+ * owner; see sessionOwner()). A chat names one by id and the server swaps
+ * its prompt in for `aiSystemPrompt`. Stored in `data/presets.json`.
+ */
+export function createPresets(config) {
+  const store = new JsonStore(path.join(config.dataDir, 'presets.json'), {
+    presets: null,
+    defaultPreset: null,
+    custom: {},
+  });
+
+  function list() {
+    return store.read().presets || DEFAULT_PRESETS;
+  }
+
+  function defaultPreset() {
+    const saved = store.read().defaultPreset;
+    return list().some(preset => preset.id === saved) ? saved : list()[0].id;
+  }
+
+  function promptOf(preset) {
+    return preset.prompt ?? config.aiSystemPrompt;
+  }
+
+  function customOf(owner) {
+    return store.read().custom[owner] || [];
+  }
+
+  // What the chat page may see: everything but the admin presets' prompts
+  function catalog(owner) {
+    return {
+      defaultPreset: defaultPreset(),
+      presets: list().map(preset => ({
+        id: preset.id,
+        name: preset.name,
+        description: preset.description || '',
+        tokens: estimateTokens(promptOf(preset)),
+      })),
+      custom: customOf(owner).map(prompt => ({ ...prompt, tokens: estimateTokens(prompt.prompt) })),
+      limits: PRESET_LIMITS,
+    };
+  }
+
+  function adminList() {
+    return { defaultPreset: defaultPreset(), presets: list(), systemPrompt: config.aiSystemPrompt, limits: PRESET_LIMITS };
+  }
+
+  function setPresets(presets, nextDefault) {
+    store.update(data => {
+      data.presets = presets.map(({ id, name, description = '', prompt = null }) => ({
+        id,
+        name: name.trim(),
+        description: description.trim(),
+        prompt: prompt == null ? null : prompt.trim(),
+      }));
+      if (nextDefault !== undefined) data.defaultPreset = nextDefault;
+    });
+  }
+
+  /**
+   * Save a custom prompt for `owner`: a new one, or the one with `id`.
+   * Returns it, or null when `id` is not one of theirs or they already
+   * have as many as allowed.
+   */
+  function saveCustom(owner, { name, prompt }, id = null) {
+    return store.update(data => {
+      const mine = data.custom[owner] || [];
+      const now = Date.now();
+      let saved;
+      if (id) {
+        saved = mine.find(item => item.id === id);
+        if (!saved) return null;
+        Object.assign(saved, { name: name.trim(), prompt: prompt.trim(), updatedAt: now });
+      } else {
+        if (mine.length >= PRESET_LIMITS.customPerOwner) return null;
+        saved = { id: `my-${crypto.randomBytes(6).toString('base64url')}`, name: name.trim(), prompt: prompt.trim(), updatedAt: now };
+        mine.push(saved);
+      }
+      data.custom[owner] = mine;
+      return saved;
+    });
+  }
+
+  function removeCustom(owner, id) {
+    return store.update(data => {
+      const mine = data.custom[owner] || [];
+      const index = mine.findIndex(item => item.id === id);
+      if (index < 0) return false;
+      mine.splice(index, 1);
+      if (!mine.length) delete data.custom[owner];
+      return true;
+    });
+  }
+
+  /**
+   * The system prompt for preset `id` (an admin preset, or one of
+   * `owner`'s custom prompts), the default preset's when `id` is empty,
+   * or null when there is no such preset.
+   */
+  function resolve(id, owner) {
+    if (!id) return promptOf(list().find(preset => preset.id === defaultPreset()));
+    const preset = list().find(item => item.id === id);
+    if (preset) return promptOf(preset);
+    const custom = customOf(owner).find(item => item.id === id);
+    return custom ? custom.prompt : null;
+  }
+
+  return { catalog, adminList, setPresets, saveCustom, removeCustom, resolve };
+}
@@ -0,0 +1,92 @@
+import path from 'node:path';
+import { JsonStore } from '../lib/store.js';
+
+export const ROLES = ['admin', 'member', 'restricted'];
+
+// Features that can be switched on or off per role. Each one is a tile on
+// /home and a top-level section of the site.
+export const FEATURES = {
+  ai: { label: 'AI Chatbot' },
+  games: { label: 'Games' },
+  browse: { label: 'Browse' },
+};
+
+const DEFAULT_MATRIX = {
+  admin: { ai: true, games: true, browse: true },
+  member: { ai: true, games: true, browse: true },
+  restricted: { ai: true, games: false, browse: false },
+};
+
+// Invite codes are shared, so they can never hand out admin rights
+export const INVITE_ROLES = ['member', 'restricted'];
+
+/**
+ * Role-based access. Accounts carry a role, and so do invite codes (for
+ * the sessions they create). The role → feature matrix is stored in
+ * `data/roles.json` and edited by admins from the /admin page.
+ */
+export function createRoles(config, { users, invites }) {
+  const store = new JsonStore(path.join(config.dataDir, 'roles.json'), { matrix: DEFAULT_MATRIX });
+
+  function matrix() {
+    const saved = store.read().matrix;
+    const result = {};
+    for (const role of ROLES) {
+      result[role] = {};
+      for (const feature of Object.keys(FEATURES)) {
+        result[role][feature] = Boolean(saved[role]?.[feature] ?? DEFAULT_MATRIX[role][feature]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Update the matrix. Unknown roles and features are ignored; ones left
+   * out keep their current setting.
+   */
+  function setMatrix(next) {
+    const current = matrix();
+    const clean = {};
+    for (const role of ROLES) {
+      clean[role] = {};
+      for (const feature of Object.keys(FEATURES)) {
+        clean[role][feature] = Boolean(next?.[role]?.[feature] ?? current[role][feature]);
+      }
+    }
+    store.update(data => {
+      data.matrix = clean;
+    });
+    return clean;
+  }
+
+  /**
+   * The role of a verified session, looked up on every request so role
+   * changes apply immediately.
+   */
+  function roleOf(session) {
+    const role = session.uid
+      ? users.find(session.uid)?.role
+      : invites.find(session.inv)?.role;
+    return ROLES.includes(role) ? role : 'member';
+  }
+
+  function featuresFor(role) {
+    return matrix()[role];
+  }
+
+  function allows(role, feature) {
+    return Boolean(featuresFor(role)[feature]);
+  }
+
+  /**
+   * Whether a role may open a top-level section of the site. Feature
+   * sections follow the matrix, /admin is admin-only, the rest is open.
+   */
+  function allowsSection(role, section) {
+    if (section === 'admin') return role === 'admin';
+    if (section in FEATURES) return allows(role, section);
+    return true;
+  }
+
+  return { matrix, setMatrix, roleOf, featuresFor, allows, allowsSection };
+}
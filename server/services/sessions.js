@@ -0,0 +1,204 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { parseCookies, serializeCookie } from '../lib/cookies.js';
+import { clientInfo } from '../lib/http.js';
+import { signPayload, verifyPayload } from '../lib/signing.js';
+import { JsonStore } from '../lib/store.js';
+
+export const SESSION_COOKIE = 'ubg_session';
+
+// Only write "last seen" to disk once a minute per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * The key that groups sessions belonging to the same person. Account
+ * sessions are grouped by user; an invite code can be shared by a whole
+ * class, so invite sessions only ever see themselves.
+ */
+export function sessionOwner(session) {
+  return session.uid ? `user:${session.uid}` : `session:${session.sid}`;
+}
+
+/**
+ * Issues and checks the signed, HttpOnly session cookie that replaced the
+ * old client-side `ubg_activated` flag. Each session records where it came
+ * from: an invite code (dies when the invite is revoked) or a user account
+ * (dies when the account stops being active). Sessions are also kept in
+ * `data/sessions.json` so they can be listed and signed out remotely.
+ */
+export function createSessions(config, { invites, users }) {
+  const ttlMs = config.sessionTtlHours * 60 * 60 * 1000;
+  const renewWindowMs = config.sessionRenewWindowHours * 60 * 60 * 1000;
+  const maxAgeMs = Math.max(config.sessionMaxHours * 60 * 60 * 1000, ttlMs);
+  const store = new JsonStore(path.join(config.dataDir, 'sessions.json'), { sessions: [] });
+
+  function cookieOptions(maxAge) {
+    return { httpOnly: true, secure: config.secureCookies, sameSite: 'Strict', maxAge };
+  }
+
+  function findRecord(sid) {
+    return store.read().sessions.find(record => record.id === sid) || null;
+  }
+
+  function sign(payload) {
+    const maxAge = Math.ceil((payload.exp - Date.now()) / 1000);
+    return serializeCookie(SESSION_COOKIE, signPayload(payload, config.sessionSecret), cookieOptions(maxAge));
+  }
+
+  /**
+   * The latest a session can be renewed to: `sessionMaxHours` after it
+   * started (`iat` is kept across renewals).
+   */
+  function maxExpiry(session) {
+    return session.iat + maxAgeMs;
+  }
+
+  /**
+   * Start a session for a redeemed invite or a signed-in user. `twoFactor`
+   * marks sessions that passed a TOTP check. Returns the session payload
+   * and the Set-Cookie header value.
+   */
+  function issue({ inviteId, userId, twoFactor = false }, req) {
+    const now = Date.now();
+    const payload = {
+      sid: crypto.randomBytes(12).toString('base64url'),
+      ...(userId ? { uid: userId } : { inv: inviteId }),
+      ...(twoFactor ? { mfa: true } : {}),
+      iat: now,
+      exp: now + ttlMs,
+    };
+
+    store.update(data => {
+      // Drop records that can no longer be used while we are writing anyway
+      data.sessions = data.sessions.filter(record => record.expiresAt > now && !record.revokedAt);
+      data.sessions.push({
+        id: payload.sid,
+        owner: sessionOwner(payload),
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 512),
+        ip: clientInfo(req, config).ip,
+        createdAt: now,
+        lastSeenAt: now,
+        expiresAt: payload.exp,
+        revokedAt: null,
+      });
+    });
+
+    return { session: payload, cookie: sign(payload) };
+  }
+
+  /**
+   * Extend a session to a full lifetime from now, capped at maxExpiry().
+   * Returns the new payload and Set-Cookie value, or null when it is
+   * already at the cap.
+   */
+  function renew(session) {
+    const exp = Math.min(Date.now() + ttlMs, maxExpiry(session));
+    if (exp <= session.exp) return null;
+    const payload = { ...session, exp };
+    store.update(data => {
+      const record = data.sessions.find(item => item.id === session.sid);
+      if (record) record.expiresAt = exp;
+    });
+    return { session: payload, cookie: sign(payload) };
+  }
+
+  /**
+   * Sliding renewal: renew() once less than `sessionRenewWindowHours` of
+   * the session is left. Called for requests that count as activity.
+   */
+  function renewIfDue(session) {
+    if (session.exp - Date.now() > renewWindowMs) return null;
+    return renew(session);
+  }
+
+  function verify(token) {
+    const payload = verifyPayload(token, config.sessionSecret);
+    const now = Date.now();
+    if (!payload || typeof payload.exp !== 'number' || payload.exp <= now) {
+      return null;
+    }
+    const allowed = payload.uid
+      ? users.allowsSession(payload.uid)
+      : invites.allowsSession(payload.inv);
+    if (!allowed) return null;
+
+    const record = findRecord(payload.sid);
+    if (!record || record.revokedAt) return null;
+    if (now - record.lastSeenAt > TOUCH_INTERVAL_MS) {
+      store.update(data => {
+        const fresh = data.sessions.find(item => item.id === record.id);
+        if (fresh) fresh.lastSeenAt = now;
+      });
+    }
+    return payload;
+  }
+
+  /**
+   * The verified session for a request, or null.
+   */
+  function fromRequest(req) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    return token ? verify(token) : null;
+  }
+
+  /**
+   * Live sessions sharing an owner with `session`, most recently used first.
+   */
+  function listFor(session) {
+    const owner = sessionOwner(session);
+    const now = Date.now();
+    return store.read().sessions
+      .filter(record => record.owner === owner && !record.revokedAt && record.expiresAt > now)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  }
+
+  /**
+   * Revoke one of `session`'s sibling sessions (or itself). Returns false
+   * when `sid` does not belong to the same owner.
+   */
+  function revoke(session, sid) {
+    const owner = sessionOwner(session);
+    return store.update(data => {
+      const record = data.sessions.find(item => item.id === sid && item.owner === owner);
+      if (!record) return false;
+      record.revokedAt ??= Date.now();
+      return true;
+    });
+  }
+
+  /**
+   * Revoke every session of the same owner except `session` itself.
+   * Returns how many were signed out.
+   */
+  function revokeOthers(session) {
+    const owner = sessionOwner(session);
+    const now = Date.now();
+    return store.update(data => {
+      let count = 0;
+      for (const record of data.sessions) {
+        if (record.owner === owner && record.id !== session.sid && !record.revokedAt) {
+          record.revokedAt = now;
+          count += 1;
+        }
+      }
+      return count;
+    });
+  }
+
+  function clearCookie() {
+    return serializeCookie(SESSION_COOKIE, '', cookieOptions(0));
+  }
+
+  return {
+    issue,
+    verify,
+    fromRequest,
+    maxExpiry,
+    renew,
+    renewIfDue,
+    listFor,
+    revoke,
+    revokeOthers,
+    clearCookie,
+  };
+}
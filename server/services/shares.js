@@ -0,0 +1,137 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { JsonStore } from '../lib/store.js';
+import { gameLink } from './games.js';
+
+export const SHARE_LIMITS = {
+  titleLength: 200,
+  messages: 500,
+  contentLength: 100000,
+  attachments: 10,
+  games: 20,
+  perOwner: 50,
+  expiresInDays: 365,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isName(value, max = 255) {
+  return typeof value === 'string' && value.length > 0 && value.length <= max;
+}
+
+function validateMessage(message, where) {
+  if (!message || typeof message !== 'object') return `${where} is not an object`;
+  if (message.role !== 'user' && message.role !== 'assistant') return `${where} must be from the user or the assistant`;
+  if (typeof message.content !== 'string' || message.content.length > SHARE_LIMITS.contentLength) {
+    return `${where} needs text of at most ${SHARE_LIMITS.contentLength} characters`;
+  }
+  if (message.blocked || message.refusal) return `${where} was stopped by moderation, so it can't be shared`;
+  if (!Number.isFinite(message.createdAt)) return `${where} has no valid timestamp`;
+  if (message.model != null && !isName(message.model, 200)) return `${where} has an invalid model`;
+  const { attachments = [], games = [] } = message;
+  if (!Array.isArray(attachments) || attachments.length > SHARE_LIMITS.attachments ||
+    !attachments.every(file => file && isName(file.name) && Number.isFinite(file.size))) {
+    return `${where} has invalid attachments`;
+  }
+  if (!Array.isArray(games) || games.length > SHARE_LIMITS.games ||
+    !games.every(game => game && ['number', 'string'].includes(typeof game.id) && isName(game.name))) {
+    return `${where} has invalid games`;
+  }
+  if (!message.content.trim() && !attachments.length && !games.length) return `${where} is empty`;
+  return null;
+}
+
+/**
+ * Validate a snapshot to share: `{ title, messages: [{ role, content,
+ * createdAt, model?, attachments?: [{ name, size }], games?: [{ id, name }]
+ * }], expiresInDays }`. Messages the chat page marked `blocked` or
+ * `refusal` are turned away. Returns an error message or null.
+ */
+export function validateShare({ title, messages, expiresInDays }) {
+  if (typeof title !== 'string' || !title.trim() || title.length > SHARE_LIMITS.titleLength) {
+    return `Titles must be 1 to ${SHARE_LIMITS.titleLength} characters`;
+  }
+  if (!Array.isArray(messages) || !messages.length || messages.length > SHARE_LIMITS.messages) {
+    return `Expected { messages: [...] } with 1 to ${SHARE_LIMITS.messages} messages`;
+  }
+  for (const [index, message] of messages.entries()) {
+    const problem = validateMessage(message, `Message ${index + 1}`);
+    if (problem) return problem;
+  }
+  if (expiresInDays != null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_LIMITS.expiresInDays)) {
+    return `Links can last 1 to ${SHARE_LIMITS.expiresInDays} days, or leave expiresInDays out for no expiry`;
+  }
+  return null;
+}
+
+/**
+ * Read-only copies of AI chats that people share by link, in
+ * `data/shares.json`. A share is a snapshot: later changes to the chat do
+ * not reach it. Ids are 128 random bits, so a link cannot be guessed;
+ * revoking a share deletes it, and expired ones are dropped.
+ */
+export function createShares(config) {
+  const store = new JsonStore(path.join(config.dataDir, 'shares.json'), { shares: [] });
+
+  const isLive = (share, now = Date.now()) => share.expiresAt === null || share.expiresAt > now;
+
+  // What the owner's list shows, without the messages
+  function summary({ id, title, createdAt, expiresAt, messages }) {
+    return { id, title, createdAt, expiresAt, messages: messages.length };
+  }
+
+  // Only what the page shows is kept: file names rather than their text
+  function snapshotMessage({ role, content, createdAt, model, attachments, games }) {
+    const copy = { role, content, createdAt };
+    if (model) copy.model = model;
+    if (attachments?.length) copy.attachments = attachments.map(({ name, size }) => ({ name, size }));
+    if (games?.length) copy.games = games.map(({ id, name }) => ({ id, name, url: gameLink(id) }));
+    return copy;
+  }
+
+  /**
+   * Store a snapshot validated with validateShare() for `owner`; `by` is
+   * the name shown on the page, or null. Returns the share's summary, or
+   * null when the owner already has as many live shares as allowed.
+   */
+  function create(owner, by, { title, messages, expiresInDays }) {
+    const now = Date.now();
+    return store.update(data => {
+      data.shares = data.shares.filter(share => isLive(share, now));
+      if (data.shares.filter(share => share.owner === owner).length >= SHARE_LIMITS.perOwner) return null;
+      const share = {
+        id: crypto.randomBytes(16).toString('base64url'),
+        owner,
+        by,
+        title: title.trim(),
+        createdAt: now,
+        expiresAt: expiresInDays ? now + expiresInDays * DAY_MS : null,
+        messages: messages.map(snapshotMessage),
+      };
+      data.shares.push(share);
+      return summary(share);
+    });
+  }
+
+  // A live share, or null
+  function find(id) {
+    const share = store.read().shares.find(item => item.id === id);
+    return share && isLive(share) ? share : null;
+  }
+
+  // The owner's live shares, newest first
+  function list(owner) {
+    return store.read().shares.filter(share => share.owner === owner && isLive(share)).map(summary).reverse();
+  }
+
+  // Delete a share; false when there is no such share
+  function revoke(id) {
+    return store.update(data => {
+      const before = data.shares.length;
+      data.shares = data.shares.filter(share => share.id !== id);
+      return data.shares.length < before;
+    });
+  }
+
+  return { create, find, list, revoke };
+}
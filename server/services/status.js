@@ -0,0 +1,75 @@
+import path from 'node:path';
+import { JsonStore } from '../lib/store.js';
+
+export const MODES = ['normal', 'degraded', 'maintenance'];
+export const STATUS_MESSAGE_MAX_LENGTH = 280;
+
+// Which ways in each mode leaves open. Admins can always sign in, so they
+// can end maintenance from the settings page.
+const ENTRY = {
+  normal: { activate: true, register: true, login: true },
+  degraded: { activate: true, register: false, login: true },
+  maintenance: { activate: false, register: false, login: false },
+};
+
+const DEFAULT_MESSAGES = {
+  degraded: 'Some features may be slow or unavailable right now.',
+  maintenance: 'UBG is down for maintenance. Try again later.',
+};
+
+const NORMAL = { mode: 'normal', message: '', endsAt: null };
+
+/**
+ * Validate a status update. Returns an error message or null.
+ */
+export function validateStatus({ mode, message = '', endsAt = null }) {
+  if (!MODES.includes(mode)) {
+    return `Mode must be one of: ${MODES.join(', ')}`;
+  }
+  if (typeof message !== 'string' || message.length > STATUS_MESSAGE_MAX_LENGTH) {
+    return `Messages can be at most ${STATUS_MESSAGE_MAX_LENGTH} characters`;
+  }
+  if (endsAt !== null && !(Number.isFinite(endsAt) && endsAt > Date.now())) {
+    return 'The end time must be in the future';
+  }
+  return null;
+}
+
+/**
+ * Site-wide status shown in the banner on every page (`data/status.json`).
+ * Once `endsAt` has passed the site is back to normal without anyone
+ * having to switch it off.
+ */
+export function createStatus(config) {
+  const store = new JsonStore(path.join(config.dataDir, 'status.json'), { status: NORMAL });
+
+  function current() {
+    const status = store.read().status;
+    if (status.mode === 'normal' || (status.endsAt && status.endsAt <= Date.now())) {
+      return { ...NORMAL, entry: ENTRY.normal };
+    }
+    return {
+      mode: status.mode,
+      message: status.message || DEFAULT_MESSAGES[status.mode],
+      endsAt: status.endsAt,
+      entry: ENTRY[status.mode],
+    };
+  }
+
+  function set({ mode, message = '', endsAt = null }, updatedBy = null) {
+    const status = { mode, message: message.trim(), endsAt, updatedAt: Date.now(), updatedBy };
+    store.update(data => {
+      data.status = status;
+    });
+    return current();
+  }
+
+  /**
+   * Whether new visitors may `activate`, `register` or `login` right now.
+   */
+  function allowsEntry(action) {
+    return current().entry[action];
+  }
+
+  return { current, set, allowsEntry };
+}
@@ -0,0 +1,94 @@
+/**
+ * Brute-force protection for activation and sign-in, and (as a separate
+ * instance that counts every attempt) for registration. Failures are counted
+ * per IP and per client fingerprint, and per account when the client names
+ * one (`client.account`, a username); each failure makes the client wait
+ * twice as long as the last one, and `loginMaxFailures` failures in a row
+ * lock it out for `loginLockoutMinutes`. Counters live in memory and are
+ * forgotten once a client has been quiet for a lockout period.
+ */
+export function createThrottle(config, { audit }) {
+  const baseMs = config.loginBackoffBaseSeconds * 1000;
+  const maxDelayMs = config.loginBackoffMaxSeconds * 1000;
+  const lockoutMs = config.loginLockoutMinutes * 60 * 1000;
+  const entries = new Map();
+
+  function keysFor(client) {
+    const keys = [`ip:${client.ip}`, `fp:${client.fingerprint}`];
+    if (client.account) keys.push(`account:${client.account}`);
+    return keys;
+  }
+
+  function entry(key, now) {
+    const found = entries.get(key);
+    if (found && now - found.lastFailure > lockoutMs && found.blockedUntil <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return found || null;
+  }
+
+  /**
+   * Milliseconds the client still has to wait before its next attempt.
+   */
+  function retryAfter(client, now = Date.now()) {
+    let wait = 0;
+    for (const key of keysFor(client)) {
+      const found = entry(key, now);
+      if (found) wait = Math.max(wait, found.blockedUntil - now);
+    }
+    return wait;
+  }
+
+  /**
+   * Count a failed attempt and write it to the audit log. Returns how
+   * long the client must now wait.
+   */
+  function fail(client, type, details = {}) {
+    const now = Date.now();
+    let lockedOut = false;
+    if (entries.size > 10000) prune(now);
+
+    for (const key of keysFor(client)) {
+      const found = entry(key, now) || { failures: 0, blockedUntil: 0 };
+      found.failures += 1;
+      found.lastFailure = now;
+      if (found.failures >= config.loginMaxFailures) {
+        found.blockedUntil = now + lockoutMs;
+        lockedOut = lockedOut || found.failures === config.loginMaxFailures;
+      } else {
+        found.blockedUntil = now + Math.min(baseMs * 2 ** (found.failures - 1), maxDelayMs);
+      }
+      entries.set(key, found);
+    }
+
+    audit.record(type, { ip: client.ip, fingerprint: client.fingerprint, ...details });
+    if (lockedOut) {
+      audit.record('lockout', {
+        ip: client.ip,
+        fingerprint: client.fingerprint,
+        ...(client.account ? { account: client.account } : {}),
+        minutes: config.loginLockoutMinutes,
+      });
+    }
+    return retryAfter(client, now);
+  }
+
+  // Stale entries are normally dropped when looked up; this catches
+  // clients that never come back, e.g. a scripted attack rotating fingerprints
+  function prune(now) {
+    for (const key of entries.keys()) entry(key, now);
+  }
+
+  /**
+   * Forget the client's failures after a successful attempt. With an
+   * account, only that account's count goes: getting into one account says
+   * nothing about the guesses the same client made at others.
+   */
+  function succeed(client) {
+    const keys = client.account ? [`account:${client.account}`] : keysFor(client);
+    for (const key of keys) entries.delete(key);
+  }
+
+  return { retryAfter, fail, succeed };
+}
@@ -0,0 +1,126 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { qrSvg } from '../lib/qrcode.js';
+import { JsonStore } from '../lib/store.js';
+import { generateSecret, otpauthUri, verifyTotp } from '../lib/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+function hashRecoveryCode(code) {
+  const clean = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * TOTP two-factor authentication for accounts (`data/twofactor.json`).
+ * Setup stores a pending secret until the first code from the app
+ * confirms it. Recovery codes are stored hashed and work once each.
+ */
+export function createTwoFactor(config) {
+  const store = new JsonStore(path.join(config.dataDir, 'twofactor.json'), { accounts: {} });
+
+  function account(userId) {
+    return store.read().accounts[userId] || null;
+  }
+
+  function isEnabled(userId) {
+    return Boolean(account(userId)?.enabledAt);
+  }
+
+  function status(userId) {
+    const entry = account(userId);
+    return {
+      enabled: Boolean(entry?.enabledAt),
+      enabledAt: entry?.enabledAt || null,
+      recoveryCodesLeft: entry?.recoveryCodes?.length || 0,
+    };
+  }
+
+  /**
+   * Start (or restart) setup. Returns the secret, the otpauth:// URI and
+   * the same URI as an SVG QR code.
+   */
+  function startSetup(userId, username) {
+    const secret = generateSecret();
+    store.update(data => {
+      data.accounts[userId] = { ...data.accounts[userId], pendingSecret: secret };
+    });
+    const uri = otpauthUri(secret, { issuer: config.totpIssuer, account: username });
+    return { secret, uri, qr: qrSvg(uri) };
+  }
+
+  /**
+   * Finish setup with a code from the app. Returns the plain recovery
+   * codes, or null when there is no pending setup or the code is wrong.
+   */
+  function confirmSetup(userId, code) {
+    const codes = generateRecoveryCodes();
+    return store.update(data => {
+      const entry = data.accounts[userId];
+      const step = entry?.pendingSecret ? verifyTotp(entry.pendingSecret, code) : null;
+      if (step === null) return null;
+      data.accounts[userId] = {
+        secret: entry.pendingSecret,
+        enabledAt: Date.now(),
+        lastStep: step,
+        recoveryCodes: codes.map(hashRecoveryCode),
+      };
+      return codes;
+    });
+  }
+
+  /**
+   * Check a code from the app or a recovery code. Returns `'totp'` or
+   * `'recovery'`, or null. App codes cannot be replayed and recovery codes
+   * are used up.
+   */
+  function verify(userId, code) {
+    return store.update(data => {
+      const entry = data.accounts[userId];
+      if (!entry?.enabledAt) return null;
+
+      const step = verifyTotp(entry.secret, code);
+      if (step !== null) {
+        if (step <= entry.lastStep) return null;
+        entry.lastStep = step;
+        return 'totp';
+      }
+
+      const hash = hashRecoveryCode(code);
+      const index = entry.recoveryCodes.indexOf(hash);
+      if (index === -1) return null;
+      entry.recoveryCodes.splice(index, 1);
+      return 'recovery';
+    });
+  }
+
+  /**
+   * Replace all recovery codes. Returns the new plain codes.
+   */
+  function regenerateRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes();
+    return store.update(data => {
+      const entry = data.accounts[userId];
+      if (!entry?.enabledAt) return null;
+      entry.recoveryCodes = codes.map(hashRecoveryCode);
+      return codes;
+    });
+  }
+
+  function disable(userId) {
+    return store.update(data => {
+      if (!data.accounts[userId]) return false;
+      delete data.accounts[userId];
+      return true;
+    });
+  }
+
+  return { isEnabled, status, startSetup, confirmSetup, verify, regenerateRecoveryCodes, disable };
+}
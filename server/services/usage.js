@@ -0,0 +1,231 @@
+import path from 'node:path';
+import { JsonStore } from '../lib/store.js';
+import { ROLES } from './roles.js';
+
+export const QUOTA_PERIODS = ['daily', 'monthly'];
+export const QUOTA_KINDS = ['requests', 'tokens'];
+
+// Per-day counters older than this are dropped
+const RETENTION_DAYS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// null means no limit; admins set real ones from the /admin page
+function emptyQuotas() {
+  const quotas = {};
+  for (const role of ROLES) {
+    quotas[role] = {};
+    for (const period of QUOTA_PERIODS) {
+      quotas[role][period] = Object.fromEntries(QUOTA_KINDS.map(kind => [kind, null]));
+    }
+  }
+  return quotas;
+}
+
+// Days and months are counted in UTC
+export function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function periodStart(period, ms) {
+  const date = new Date(ms);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), period === 'daily' ? date.getUTCDate() : 1);
+}
+
+function periodEnd(period, ms) {
+  const date = new Date(ms);
+  return period === 'daily'
+    ? periodStart(period, ms) + DAY_MS
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+/**
+ * Validate an update to the quotas:
+ * `{ <role>: { daily|monthly: { requests|tokens: number|null } } }`.
+ * Returns an error message or null.
+ */
+export function validateQuotas(quotas) {
+  if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) {
+    return 'Expected { quotas: { <role>: { daily, monthly } } }';
+  }
+  for (const [role, periods] of Object.entries(quotas)) {
+    if (!ROLES.includes(role)) return `Unknown role "${role}"`;
+    for (const [period, limits] of Object.entries(periods || {})) {
+      if (!QUOTA_PERIODS.includes(period)) return `Unknown quota period "${period}"`;
+      for (const [kind, value] of Object.entries(limits || {})) {
+        if (!QUOTA_KINDS.includes(kind)) return `Unknown quota "${kind}"`;
+        if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+          return 'Quotas must be whole numbers of at least 0, or empty for no limit';
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function addCounts(target, counts) {
+  target.requests += counts.requests;
+  target.promptTokens += counts.promptTokens;
+  target.completionTokens += counts.completionTokens;
+  return target;
+}
+
+function zero() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0 };
+}
+
+/**
+ * Who a session's AI usage counts against: its account, or the invite it
+ * was activated with. Entering an invite code again makes a new session,
+ * so counting per session would hand out a fresh quota each time.
+ */
+export function usageOwner(session) {
+  return session.uid ? `user:${session.uid}` : `invite:${session.inv}`;
+}
+
+/**
+ * AI usage accounting. Every request to a provider is counted per owner
+ * (an account, or an invite; see usageOwner()), per UTC day and
+ * per model, with the tokens the provider reported. Admins set daily and
+ * monthly limits on requests and tokens per role. Both live in
+ * `data/usage.json`.
+ */
+export function createUsage(config) {
+  const store = new JsonStore(path.join(config.dataDir, 'usage.json'), {
+    quotas: emptyQuotas(),
+    owners: {},
+    days: {},
+  });
+
+  function quotas() {
+    const saved = store.read().quotas;
+    const result = emptyQuotas();
+    for (const role of ROLES) {
+      for (const period of QUOTA_PERIODS) {
+        for (const kind of QUOTA_KINDS) {
+          result[role][period][kind] = saved[role]?.[period]?.[kind] ?? null;
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Update quotas. Roles and limits left out keep their current value;
+   * a null limit removes it.
+   */
+  function setQuotas(update) {
+    const next = quotas();
+    for (const [role, periods] of Object.entries(update)) {
+      for (const [period, limits] of Object.entries(periods || {})) {
+        Object.assign(next[role][period], limits);
+      }
+    }
+    store.update(data => {
+      data.quotas = next;
+    });
+    return next;
+  }
+
+  // `{ requests, tokens }` an owner has used since `since` (ms)
+  function usedSince(owner, since) {
+    const used = { requests: 0, tokens: 0 };
+    const from = dayKey(since);
+    for (const [day, owners] of Object.entries(store.read().days)) {
+      if (day < from || !owners[owner]) continue;
+      for (const counts of Object.values(owners[owner])) {
+        used.requests += counts.requests;
+        used.tokens += counts.promptTokens + counts.completionTokens;
+      }
+    }
+    return used;
+  }
+
+  /**
+   * The first quota `owner` has used up under `role`, as
+   * `{ period, kind, limit, resetsAt }`, or null when there is room left.
+   * The request that crosses a token limit still goes through.
+   */
+  function exceeded(owner, role, now = Date.now()) {
+    const limits = quotas()[role];
+    for (const period of QUOTA_PERIODS) {
+      const used = usedSince(owner, periodStart(period, now));
+      for (const kind of QUOTA_KINDS) {
+        const limit = limits[period][kind];
+        if (limit !== null && used[kind] >= limit) {
+          return { period, kind, limit, resetsAt: periodEnd(period, now) };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Count one provider request. `label` names the owner in reports (a
+   * username, or the invite's label).
+   */
+  function record({ owner, label, role, provider, model, promptTokens = 0, completionTokens = 0 }, now = Date.now()) {
+    const day = dayKey(now);
+    const key = `${provider}:${model}`;
+    store.update(data => {
+      if (!data.days[day]) {
+        const oldest = dayKey(now - RETENTION_DAYS * DAY_MS);
+        for (const old of Object.keys(data.days)) {
+          if (old < oldest) delete data.days[old];
+        }
+        data.days[day] = {};
+      }
+      const owners = data.days[day];
+      owners[owner] = owners[owner] || {};
+      owners[owner][key] = addCounts(owners[owner][key] || zero(), {
+        requests: 1,
+        promptTokens: Math.max(0, Math.round(promptTokens)),
+        completionTokens: Math.max(0, Math.round(completionTokens)),
+      });
+      data.owners[owner] = { label, role, lastUsedAt: now };
+    });
+  }
+
+  /**
+   * Usage between two UTC days (inclusive, `YYYY-MM-DD`), by owner and by
+   * model, busiest first.
+   */
+  function report({ from, to }) {
+    const { days, owners: known } = store.read();
+    const byOwner = new Map();
+    const byModel = new Map();
+    const totals = zero();
+
+    for (const [day, owners] of Object.entries(days)) {
+      if (day < from || day > to) continue;
+      for (const [owner, models] of Object.entries(owners)) {
+        if (!byOwner.has(owner)) {
+          byOwner.set(owner, { owner, label: known[owner]?.label || owner, role: known[owner]?.role || null, ...zero(), models: {} });
+        }
+        const entry = byOwner.get(owner);
+        for (const [key, counts] of Object.entries(models)) {
+          const split = key.indexOf(':');
+          const provider = key.slice(0, split);
+          const model = key.slice(split + 1);
+          addCounts(entry, counts);
+          entry.models[key] = addCounts(entry.models[key] || { provider, model, ...zero() }, counts);
+          if (!byModel.has(key)) byModel.set(key, { provider, model, ...zero() });
+          addCounts(byModel.get(key), counts);
+          addCounts(totals, counts);
+        }
+      }
+    }
+
+    const busiest = (a, b) => (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens) || b.requests - a.requests;
+    return {
+      from,
+      to,
+      totals,
+      users: [...byOwner.values()]
+        .map(entry => ({ ...entry, models: Object.values(entry.models).sort(busiest) }))
+        .sort(busiest),
+      models: [...byModel.values()].sort(busiest),
+    };
+  }
+
+  return { quotas, setQuotas, exceeded, record, report };
+}
@@ -0,0 +1,129 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { JsonStore } from '../lib/store.js';
+import { dummyVerify, hashPassword, verifyPassword } from '../lib/passwords.js';
+
+export const USERNAME_PATTERN = /^[a-z0-9_.-]{3,24}$/;
+export const PASSWORD_MIN_LENGTH = 8;
+export const PASSWORD_MAX_LENGTH = 256;
+
+export function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * Validate registration input. Returns an error message or null.
+ */
+export function validateCredentials(username, password) {
+  if (!USERNAME_PATTERN.test(username)) {
+    return 'Usernames are 3-24 characters: letters, numbers, dots, dashes and underscores';
+  }
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Passwords need at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    return `Passwords can be at most ${PASSWORD_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Accounts created from the Join page. New accounts start as `pending`
+ * until an admin approves them; only `active` accounts can sign in.
+ * Statuses: pending, active, rejected, disabled.
+ */
+export function createUsers(config) {
+  const store = new JsonStore(path.join(config.dataDir, 'users.json'), { users: [] });
+
+  function list() {
+    return store.read().users;
+  }
+
+  function find(id) {
+    return list().find(user => user.id === id) || null;
+  }
+
+  function findByUsername(username) {
+    const name = normalizeUsername(username);
+    return list().find(user => user.username === name) || null;
+  }
+
+  /**
+   * Queue a registration request. Returns the new user, or null when the
+   * username is taken.
+   */
+  async function register(username, password) {
+    const name = normalizeUsername(username);
+    const passwordHash = await hashPassword(password);
+    return store.update(data => {
+      if (data.users.some(user => user.username === name)) return null;
+      const user = {
+        id: crypto.randomBytes(6).toString('hex'),
+        username: name,
+        passwordHash,
+        status: 'pending',
+        role: 'member',
+        // Lets the Join page poll for the outcome without signing in
+        requestId: crypto.randomBytes(16).toString('base64url'),
+        createdAt: Date.now(),
+        reviewedAt: null,
+      };
+      data.users.push(user);
+      return user;
+    });
+  }
+
+  function findByRequestId(requestId) {
+    return list().find(user => user.requestId === requestId) || null;
+  }
+
+  /**
+   * Check a username and password. Returns the user when the password is
+   * right, whatever its status, or null.
+   */
+  async function authenticate(username, password) {
+    const user = findByUsername(username);
+    if (!user) {
+      await dummyVerify(password);
+      return null;
+    }
+    return (await verifyPassword(password, user.passwordHash)) ? user : null;
+  }
+
+  function setStatus(username, status) {
+    const name = normalizeUsername(username);
+    return store.update(data => {
+      const user = data.users.find(item => item.username === name);
+      if (!user) return null;
+      user.status = status;
+      user.reviewedAt = Date.now();
+      return user;
+    });
+  }
+
+  function setRole(username, role) {
+    const name = normalizeUsername(username);
+    return store.update(data => {
+      const user = data.users.find(item => item.username === name);
+      if (!user) return null;
+      user.role = role;
+      return user;
+    });
+  }
+
+  function allowsSession(id) {
+    return find(id)?.status === 'active';
+  }
+
+  return {
+    list,
+    find,
+    findByUsername,
+    findByRequestId,
+    register,
+    authenticate,
+    setStatus,
+    setRole,
+    allowsSession,
+  };
+}
@@ -0,0 +1,36 @@
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// `value` as a URL when it is a ws:// or wss:// one, null otherwise
+function wispUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'ws:' || url.protocol === 'wss:' ? url.toString() : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * The Wisp servers Browse proxies through, from `wispEndpoints` (a
+ * comma-separated list, in order of preference). Browsers probe them
+ * themselves, since what matters is whether the user can reach them; the
+ * server only hands out the list. A malformed entry stops the server at
+ * startup rather than breaking Browse later.
+ */
+export function createWisp(config) {
+  const endpoints = [...new Set(splitList(config.wispEndpoints).map(value => {
+    const url = wispUrl(value);
+    if (!url) throw new Error(`wispEndpoints: "${value}" is not a ws:// or wss:// URL`);
+    return url;
+  }))];
+  if (!endpoints.length) throw new Error('wispEndpoints needs at least one server');
+
+  // What the Browse page needs to pick a server
+  function describe() {
+    return { endpoints: [...endpoints], probeIntervalSeconds: config.wispProbeIntervalSeconds };
+  }
+
+  return { describe };
+}
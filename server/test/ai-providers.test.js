@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, test } from 'node:test';
+import { createOpenAiProvider, UpstreamError } from '../services/ai-providers.js';
+
+// A local OpenAI-compatible server that streams whatever `reply` holds
+let upstream;
+let reply = '';
+let provider;
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.end(reply);
+  });
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${upstream.address().port}/v1`;
+  provider = createOpenAiProvider({ id: 'local', label: 'Local', baseUrl, models: ['local'], timeoutSeconds: 5 });
+});
+
+after(() => new Promise(resolve => upstream.close(resolve)));
+
+const event = (content, finishReason = null) =>
+  `data: ${JSON.stringify({ model: 'local', choices: [{ index: 0, delta: content ? { content } : {}, finish_reason: finishReason }] })}\n\n`;
+
+async function streamed(body) {
+  reply = body;
+  const chunks = [];
+  for await (const chunk of await provider.stream([{ role: 'user', content: 'hi' }], { model: 'local' })) chunks.push(chunk);
+  return chunks;
+}
+
+test('a stream that reaches [DONE] ends with done', async () => {
+  const chunks = await streamed(event('Hello ') + event('there') + event('', 'stop') + 'data: [DONE]\n\n');
+  assert.deepEqual(chunks.slice(0, 2), [{ delta: 'Hello ' }, { delta: 'there' }]);
+  assert.equal(chunks[2].done, true);
+  assert.equal(chunks[2].finishReason, 'stop');
+});
+
+test('a finish_reason is enough without [DONE]', async () => {
+  const chunks = await streamed(event('Hello', 'stop'));
+  assert.equal(chunks.at(-1).done, true);
+});
+
+test('a stream cut off part way throws instead of finishing', async () => {
+  await assert.rejects(streamed(event('Hello ') + event('the')), err => {
+    assert.ok(err instanceof UpstreamError);
+    assert.match(err.message, /part way/);
+    return true;
+  });
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, mock, test } from 'node:test';
+import { loadConfig } from '../config.js';
+import { createAi } from '../services/ai.js';
+
+// A local llama.cpp stand-in whose model list can be taken away
+let upstream;
+let listing = true;
+let dataDir;
+let ai;
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    const body = listing ? JSON.stringify({ data: [{ id: 'small' }, { id: 'large' }] }) : '{}';
+    res.writeHead(listing ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(body);
+  });
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ubg-test-'));
+  ai = createAi(loadConfig({
+    UBG_CONFIG: path.join(dataDir, 'config.json'),
+    UBG_DATA_DIR: dataDir,
+    UBG_LLAMACPP_BASE_URL: `http://127.0.0.1:${upstream.address().port}/v1`,
+  }));
+});
+
+after(async () => {
+  await new Promise(resolve => upstream.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const modelOf = async model => (await ai.choose({ provider: 'llamacpp', model }))?.options.model ?? null;
+
+test('only models the provider offers are chosen', async () => {
+  assert.equal(await modelOf('large'), 'large');
+  assert.equal(await modelOf(), 'small');
+  assert.equal(await modelOf('made-up'), null);
+});
+
+test('without a fresh list, the last one decides and the default stands in', async t => {
+  t.after(() => { listing = true; });
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  t.after(() => mock.timers.reset());
+  ai.setSettings({ providers: { llamacpp: { model: 'small' } } });
+  assert.equal(await modelOf('large'), 'large');
+
+  listing = false;
+  mock.timers.tick(2 * 60 * 1000);
+  assert.equal(await modelOf('large'), 'large');
+  assert.equal(await modelOf('made-up'), 'small');
+  assert.equal(await modelOf(), 'small');
+});
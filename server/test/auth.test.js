@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { signPayload } from '../lib/signing.js';
+import { createInvites } from '../services/invites.js';
+import { SESSION_COOKIE } from '../services/sessions.js';
+import { startServer } from './helpers.js';
+
+let server;
+let cookie;
+
+before(async () => {
+  server = await startServer();
+  const { code } = createInvites(server.config).create({ label: 'test' });
+  const activated = await server.request('/api/activate', { method: 'POST', body: { code } });
+  assert.equal(activated.status, 200);
+  cookie = activated.cookie;
+});
+
+after(() => server.close());
+
+// The cookie's token, split into its payload and signature
+function tokenParts() {
+  const [data, signature] = cookie.slice(SESSION_COOKIE.length + 1).split('.');
+  return { payload: JSON.parse(Buffer.from(data, 'base64url').toString('utf8')), signature };
+}
+
+test('activation sets a session cookie that signs the visitor in', async () => {
+  assert.ok(cookie);
+  const session = await server.request('/api/session', { cookie });
+  assert.equal(session.status, 200);
+  assert.equal(session.body.active, true);
+  assert.equal((await server.request('/home/', { cookie })).status, 200);
+});
+
+test('a cookie whose payload was edited is refused', async () => {
+  const { payload, signature } = tokenParts();
+  const edited = Buffer.from(JSON.stringify({ ...payload, exp: payload.exp + 60 * 60 * 1000 })).toString('base64url');
+  const forged = `${SESSION_COOKIE}=${edited}.${signature}`;
+  assert.equal((await server.request('/api/session', { cookie: forged })).status, 401);
+  assert.equal((await server.request('/home/', { cookie: forged })).status, 302);
+});
+
+test('a cookie signed with another secret is refused', async () => {
+  const forged = `${SESSION_COOKIE}=${signPayload(tokenParts().payload, 'not the secret')}`;
+  assert.equal((await server.request('/api/session', { cookie: forged })).status, 401);
+});
+
+test('a cookie with a cut signature or junk is refused', async () => {
+  for (const forged of [cookie.slice(0, -2), `${SESSION_COOKIE}=junk`, `${SESSION_COOKIE}=a.b.c`]) {
+    assert.equal((await server.request('/api/session', { cookie: forged })).status, 401, forged);
+  }
+});
+
+test('protected sections send visitors without a session to the landing page', async () => {
+  const response = await server.request('/home/?tab=1');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), '/?next=' + encodeURIComponent('/home/?tab=1'));
+  assert.equal((await server.request('/')).status, 200);
+});
+
+test('escaped section names are gated like plain ones', async () => {
+  for (const pathname of ['/%68ome/', '/%67ames/', '/%2Fhome/', '/%68%6fme/index.html']) {
+    assert.equal((await server.request(pathname)).status, 302, pathname);
+  }
+});
+
+test('a malformed escape is a 400', async () => {
+  const response = await server.request('/%E0/');
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, 'invalid_path');
+});
+
+test('server files and non-web files are never served', async () => {
+  for (const pathname of ['/server/config.js', '/%73erver/config.js', '/CNAME']) {
+    assert.equal((await server.request(pathname, { cookie })).status, 404, pathname);
+  }
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { createInvites } from '../services/invites.js';
+import { createUsage } from '../services/usage.js';
+import { startServer } from './helpers.js';
+
+let server;
+let cookie;
+
+before(async () => {
+  server = await startServer({ UBG_AI_MOCK_PROVIDER: '1' });
+  const { code } = createInvites(server.config).create({ label: 'chat' });
+  cookie = (await server.request('/api/activate', { method: 'POST', body: { code } })).cookie;
+});
+
+after(() => server.close());
+
+function chat(body, options = { cookie }) {
+  return server.request('/api/chat', { method: 'POST', body, ...options });
+}
+
+// The events of a streamed reply, in order
+function eventsOf(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    return { event, data: data && JSON.parse(data) };
+  });
+}
+
+test('the mock provider answers without a key or a network', async () => {
+  const response = await chat({ messages: [{ role: 'user', content: 'hi' }] });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.reply, 'Mock reply to: "hi" (1 messages in context)');
+});
+
+test('the models list offers the mock', async () => {
+  const response = await server.request('/api/ai/models', { cookie });
+  assert.equal(response.status, 200);
+  const mock = response.body.providers.find(provider => provider.id === 'mock');
+  assert.equal(mock.available, true);
+  assert.ok(mock.models.length);
+});
+
+test('a streamed reply arrives word by word and ends with done', async () => {
+  const response = await chat({ messages: [{ role: 'user', content: 'tell me more' }], stream: true });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = eventsOf(response.body);
+  const text = events.filter(({ event }) => event === 'delta').map(({ data }) => data.text).join('');
+  assert.equal(text, 'Mock reply to: "tell me more" (1 messages in context)');
+  assert.equal(events.at(-1).event, 'done');
+});
+
+test('chatting needs a session', async () => {
+  const response = await chat({ messages: [{ role: 'user', content: 'hi' }] }, {});
+  assert.equal(response.status, 401);
+});
+
+test('messages that do not end with the user are refused', async () => {
+  for (const messages of [undefined, [], [{ role: 'assistant', content: 'hi' }], [{ role: 'user', content: 42 }]]) {
+    const response = await chat({ messages });
+    assert.equal(response.status, 400, JSON.stringify(messages));
+    assert.equal(response.body.error.code, 'invalid_messages');
+  }
+});
+
+test('entering an invite code again does not start a new quota', async () => {
+  createUsage(server.config).setQuotas({ restricted: { daily: { requests: 2 } } });
+  const { code } = createInvites(server.config).create({ label: 'quota', role: 'restricted' });
+  const activate = async () => (await server.request('/api/activate', { method: 'POST', body: { code } })).cookie;
+
+  const hi = { messages: [{ role: 'user', content: 'hi' }] };
+  const first = await activate();
+  for (let i = 0; i < 2; i++) assert.equal((await chat(hi, { cookie: first })).status, 200);
+  const again = await chat(hi, { cookie: await activate() });
+  assert.equal(again.status, 429);
+  assert.equal(again.body.error.code, 'quota_exceeded');
+});
@@ -0,0 +1,66 @@
+// Shared by the *.test.js files: a real server on a free port with its own
+// data directory, and small helpers for talking to it like a browser.
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { createApp } from '../app.js';
+import { loadConfig } from '../config.js';
+import { SESSION_COOKIE } from '../services/sessions.js';
+
+/**
+ * Start a server with `env` (UBG_* variables) on top of the defaults, no
+ * config.json and an empty temp data directory. Resolves to
+ * `{ config, request, close }`.
+ */
+export async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ubg-test-'));
+  const config = loadConfig({
+    UBG_CONFIG: path.join(dataDir, 'config.json'),
+    UBG_DATA_DIR: dataDir,
+    ...env,
+  });
+  const server = http.createServer(createApp(config));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Make a request without following redirects. `body` is sent as JSON.
+   * Resolves to `{ status, headers, body, cookie }`, where `body` is
+   * parsed when it is JSON and `cookie` is the session cookie it set.
+   */
+  async function request(pathname, { method = 'GET', body, cookie, headers = {} } = {}) {
+    const response = await fetch(origin + pathname, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(cookie ? { Cookie: cookie } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').startsWith('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: json ? JSON.parse(text) : text,
+      cookie: sessionCookie(response.headers.get('set-cookie')),
+    };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { config, request, close };
+}
+
+// `ubg_session=<token>` from a Set-Cookie header, ready for a Cookie one
+function sessionCookie(header) {
+  const match = header && header.match(new RegExp(`${SESSION_COOKIE}=([^;]*)`));
+  return match && match[1] ? `${SESSION_COOKIE}=${match[1]}` : null;
+}
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { createInvites } from '../services/invites.js';
+import { createRoles } from '../services/roles.js';
+import { createUsers } from '../services/users.js';
+import { startServer } from './helpers.js';
+
+let server;
+let member;
+let restricted;
+
+async function activate(role) {
+  const { code } = createInvites(server.config).create({ label: role, role });
+  return (await server.request('/api/activate', { method: 'POST', body: { code } })).cookie;
+}
+
+before(async () => {
+  server = await startServer({ UBG_AI_MOCK_PROVIDER: '1' });
+  const invites = createInvites(server.config);
+  createRoles(server.config, { users: createUsers(server.config), invites }).setMatrix({ restricted: { ai: false } });
+  member = await activate('member');
+  restricted = await activate('restricted');
+});
+
+after(() => server.close());
+
+test('the session reports the role and its features', async () => {
+  const { body } = await server.request('/api/session', { cookie: restricted });
+  assert.equal(body.role, 'restricted');
+  assert.deepEqual(body.features, { ai: false, games: false, browse: false });
+});
+
+test('sections a role does not have send it back to /home', async () => {
+  for (const [cookie, section] of [[restricted, 'ai'], [restricted, 'games'], [member, 'admin']]) {
+    const response = await server.request(`/${section}/`, { cookie });
+    assert.equal(response.status, 302, section);
+    assert.equal(response.headers.get('location'), `/home/?denied=${section}`);
+  }
+  assert.equal((await server.request('/ai/', { cookie: member })).status, 200);
+});
+
+test('escaping the section name does not get round the roles', async () => {
+  const cases = [[restricted, '/%61i/', 'ai'], [restricted, '/%67%61mes/', 'games'], [member, '/%61dmin/', 'admin'], [member, '/%2Fadmin/', 'admin']];
+  for (const [cookie, pathname, section] of cases) {
+    const response = await server.request(pathname, { cookie });
+    assert.equal(response.status, 302, pathname);
+    assert.equal(response.headers.get('location'), `/home/?denied=${section}`);
+  }
+});
+
+test('the API follows the same roles', async () => {
+  const chat = await server.request('/api/chat', {
+    method: 'POST',
+    cookie: restricted,
+    body: { messages: [{ role: 'user', content: 'hi' }] },
+  });
+  assert.equal(chat.status, 403);
+  assert.equal(chat.body.error.code, 'feature_disabled');
+  assert.equal((await server.request('/api/admin/roles', { cookie: member })).status, 403);
+});
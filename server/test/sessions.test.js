@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { createInvites } from '../services/invites.js';
+import { createUsers } from '../services/users.js';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  const users = createUsers(server.config);
+  for (const username of ['alice', 'bob']) {
+    await users.register(username, `${username} password`);
+    users.setStatus(username, 'active');
+  }
+});
+
+after(() => server.close());
+
+// Signs in from a "device" named by its user agent; resolves to the cookie
+async function signIn(username, device = 'Firefox') {
+  const response = await server.request('/api/login', {
+    method: 'POST',
+    body: { username, password: `${username} password` },
+    headers: { 'User-Agent': device },
+  });
+  assert.equal(response.status, 200);
+  return response.cookie;
+}
+
+async function isSignedIn(cookie) {
+  return (await server.request('/api/session', { cookie })).status === 200;
+}
+
+async function sessionsOf(cookie) {
+  return (await server.request('/api/sessions', { cookie })).body.sessions;
+}
+
+test("lists the account's sessions, the current one first", async () => {
+  const laptop = await signIn('alice', 'Laptop');
+  const phone = await signIn('alice', 'Phone');
+  await signIn('bob');
+
+  const listed = await sessionsOf(phone);
+  assert.equal(listed.length, 2);
+  assert.deepEqual(listed.map(session => session.current), [true, false]);
+  assert.equal((await sessionsOf(laptop))[0].id, listed[1].id);
+});
+
+test('signing out another device ends that session only', async () => {
+  const laptop = await signIn('alice', 'Laptop');
+  const phone = await signIn('alice', 'Phone');
+  const laptopId = (await sessionsOf(laptop)).find(session => session.current).id;
+
+  const revoked = await server.request(`/api/sessions/${laptopId}`, { method: 'DELETE', cookie: phone });
+  assert.equal(revoked.status, 200);
+  assert.equal(revoked.cookie, null);
+  assert.equal(await isSignedIn(laptop), false);
+  assert.equal(await isSignedIn(phone), true);
+  assert.equal((await server.request('/home/', { cookie: laptop })).status, 302);
+});
+
+test("someone else's session is as good as missing", async () => {
+  const alice = await signIn('alice');
+  const bob = await signIn('bob');
+  const bobId = (await sessionsOf(bob)).find(session => session.current).id;
+
+  const response = await server.request(`/api/sessions/${bobId}`, { method: 'DELETE', cookie: alice });
+  assert.equal(response.status, 404);
+  assert.equal(await isSignedIn(bob), true);
+});
+
+test('signing out everywhere else keeps the current session', async () => {
+  const devices = [await signIn('alice', 'One'), await signIn('alice', 'Two'), await signIn('alice', 'Three')];
+  const response = await server.request('/api/sessions/revoke-others', { method: 'POST', cookie: devices[2] });
+  assert.equal(response.status, 200);
+  assert.ok(response.body.revoked >= 2);
+  assert.deepEqual(await Promise.all(devices.map(isSignedIn)), [false, false, true]);
+  assert.equal((await sessionsOf(devices[2])).length, 1);
+});
+
+test('signing out ends the session and clears the cookie', async () => {
+  const cookie = await signIn('bob');
+  const response = await server.request('/api/logout', { method: 'POST', cookie });
+  assert.match(response.headers.get('set-cookie'), /Max-Age=0/);
+  assert.equal(await isSignedIn(cookie), false);
+});
+
+test('a revoked invite or disabled account ends its sessions', async () => {
+  const invites = createInvites(server.config);
+  const invite = invites.create({ label: 'class' });
+  const activated = await server.request('/api/activate', { method: 'POST', body: { code: invite.code } });
+  const bob = await signIn('bob');
+
+  invites.revoke(invite.id);
+  createUsers(server.config).setStatus('bob', 'disabled');
+  assert.equal(await isSignedIn(activated.cookie), false);
+  assert.equal(await isSignedIn(bob), false);
+});
+
+test('invite sessions only ever see themselves', async () => {
+  const { code } = createInvites(server.config).create({ label: 'shared' });
+  const first = await server.request('/api/activate', { method: 'POST', body: { code } });
+  await server.request('/api/activate', { method: 'POST', body: { code } });
+
+  const response = await server.request('/api/sessions', { cookie: first.cookie });
+  assert.equal(response.body.shared, true);
+  assert.equal(response.body.sessions.length, 1);
+});
+
+// Sessions that are always due for renewal, up to a week in all
+async function renewingServer(t, maxHours = 7 * 24) {
+  const renewing = await startServer({
+    UBG_SESSION_TTL_HOURS: '1',
+    UBG_SESSION_RENEW_WINDOW_HOURS: '2',
+    UBG_SESSION_MAX_HOURS: String(maxHours),
+  });
+  t.after(() => renewing.close());
+  const { code } = createInvites(renewing.config).create({ label: 'renew' });
+  const activated = await renewing.request('/api/activate', { method: 'POST', body: { code } });
+  return { server: renewing, cookie: activated.cookie, expiresAt: activated.body.expiresAt };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('activity renews a session that is close to expiring, background checks do not', async t => {
+  const { server: renewing, cookie, expiresAt } = await renewingServer(t);
+  await tick();
+
+  const polled = await renewing.request('/api/session?poll=1', { cookie });
+  assert.equal(polled.cookie, null);
+  assert.equal(polled.body.expiresAt, expiresAt);
+
+  const active = await renewing.request('/home/', { cookie });
+  assert.ok(active.cookie);
+  const renewed = await renewing.request('/api/session', { cookie: active.cookie });
+  assert.ok(renewed.body.expiresAt > expiresAt);
+});
+
+test('renewing by hand extends the session up to its limit', async t => {
+  const { server: renewing, cookie, expiresAt } = await renewingServer(t);
+  await tick();
+  const response = await renewing.request('/api/session/renew?poll=1', { method: 'POST', cookie });
+  assert.equal(response.status, 200);
+  assert.ok(response.body.expiresAt > expiresAt);
+  assert.ok(response.body.maxExpiresAt >= response.body.expiresAt);
+  assert.equal((await renewing.request('/api/session', { cookie: response.cookie })).status, 200);
+});
+
+test('a session at its limit cannot be renewed', async t => {
+  const { server: renewing, cookie, expiresAt } = await renewingServer(t, 1);
+  await tick();
+  const response = await renewing.request('/api/session/renew?poll=1', { method: 'POST', cookie });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error.code, 'session_at_limit');
+  assert.equal((await renewing.request('/api/session?poll=1', { cookie })).body.maxExpiresAt, expiresAt);
+});
+
+test('a revoked session cannot be renewed', async t => {
+  const { server: renewing, cookie } = await renewingServer(t);
+  await renewing.request('/api/logout?poll=1', { method: 'POST', cookie });
+  assert.equal((await renewing.request('/api/session/renew?poll=1', { method: 'POST', cookie })).status, 401);
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { createThrottle } from '../services/throttle.js';
+import { createUsers } from '../services/users.js';
+import { startServer } from './helpers.js';
+
+const LIMITS = {
+  loginMaxFailures: 5,
+  loginBackoffBaseSeconds: 1,
+  loginBackoffMaxSeconds: 4,
+  loginLockoutMinutes: 15,
+};
+
+function throttleWithLog() {
+  const log = [];
+  const throttle = createThrottle(LIMITS, { audit: { record: (type, details) => log.push({ type, ...details }) } });
+  return { throttle, log };
+}
+
+test('each failure doubles the wait up to the cap, then locks the client out', () => {
+  const { throttle, log } = throttleWithLog();
+  const client = { ip: '10.0.0.1', fingerprint: 'abc' };
+  const waits = Array.from({ length: 5 }, () => throttle.fail(client, 'login_failed'));
+
+  assert.deepEqual(waits.slice(0, 4), [1000, 2000, 4000, 4000]);
+  assert.equal(waits[4], 15 * 60 * 1000);
+  assert.ok(throttle.retryAfter(client) > 14 * 60 * 1000);
+  assert.deepEqual(log.map(entry => entry.type), [...Array(5).fill('login_failed'), 'lockout']);
+});
+
+test('the IP and the fingerprint are counted apart', () => {
+  const { throttle } = throttleWithLog();
+  throttle.fail({ ip: '10.0.0.1', fingerprint: 'abc' }, 'login_failed');
+  assert.ok(throttle.retryAfter({ ip: '10.0.0.1', fingerprint: 'other' }) > 0);
+  assert.ok(throttle.retryAfter({ ip: '10.0.0.2', fingerprint: 'abc' }) > 0);
+  assert.equal(throttle.retryAfter({ ip: '10.0.0.2', fingerprint: 'other' }), 0);
+});
+
+test('guesses at one account add up across clients', () => {
+  const { throttle } = throttleWithLog();
+  for (let i = 0; i < 5; i++) throttle.fail({ ip: `10.0.0.${i}`, fingerprint: `fp${i}`, account: 'admin' }, 'login_failed');
+  assert.ok(throttle.retryAfter({ ip: '10.0.0.9', fingerprint: 'new', account: 'admin' }) > 14 * 60 * 1000);
+  assert.equal(throttle.retryAfter({ ip: '10.0.0.9', fingerprint: 'new', account: 'someone' }), 0);
+});
+
+test('a success clears only what it proves', () => {
+  const { throttle } = throttleWithLog();
+  const client = { ip: '10.0.0.1', fingerprint: 'abc' };
+  throttle.fail({ ...client, account: 'admin' }, 'login_failed');
+  throttle.succeed({ ...client, account: 'mallory' });
+  assert.ok(throttle.retryAfter({ ...client, account: 'admin' }) > 0);
+
+  throttle.succeed(client);
+  assert.ok(throttle.retryAfter({ ...client, account: 'admin' }) > 0, 'the account still counts');
+  assert.equal(throttle.retryAfter(client), 0);
+});
+
+let server;
+
+before(async () => {
+  // No backoff between attempts, only the lockout, and an IP per test
+  server = await startServer({ UBG_LOGIN_BACKOFF_BASE_SECONDS: '0', UBG_TRUST_PROXY: '1' });
+  const users = createUsers(server.config);
+  for (const username of ['admin', 'student', 'mallory']) await users.register(username, `${username} password`);
+  users.setStatus('admin', 'active');
+  users.setStatus('student', 'active');
+});
+
+after(() => server.close());
+
+function login(ip, username, password) {
+  return server.request('/api/login', {
+    method: 'POST',
+    body: { username, password },
+    headers: { 'X-Forwarded-For': ip, 'X-Client-Fingerprint': ip },
+  });
+}
+
+test('signing in to a pending account between guesses clears nothing', async () => {
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    statuses.push((await login('10.1.0.1', 'admin', `guess ${i}`)).status);
+    statuses.push((await login('10.1.0.1', 'mallory', 'mallory password')).status);
+  }
+  assert.deepEqual(statuses.slice(0, 8), [401, 403, 401, 403, 401, 403, 401, 403]);
+  // The fifth wrong password locks the client and the account out
+  assert.deepEqual(statuses.slice(8), [401, 429, 429, 429]);
+});
+
+test('a locked account stays locked from other clients', async () => {
+  const response = await login('10.1.0.2', 'admin', 'admin password');
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+});
+
+test('signing in clears the count for that account', async () => {
+  for (let i = 0; i < 4; i++) assert.equal((await login('10.1.0.3', 'student', 'wrong')).status, 401);
+  const signedIn = await login('10.1.0.3', 'student', 'student password');
+  assert.equal(signedIn.status, 200);
+  assert.ok(signedIn.cookie);
+
+  // Four more would have locked the account if the first four still counted
+  for (let i = 0; i < 4; i++) assert.equal((await login('10.1.0.4', 'student', 'wrong')).status, 401);
+  assert.equal((await login('10.1.0.4', 'student', 'student password')).status, 200);
+});
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { generateSecret, hotp, timeStep, verifyTotp } from '../lib/totp.js';
+import { createTwoFactor } from '../services/twofactor.js';
+import { createUsers } from '../services/users.js';
+import { startServer } from './helpers.js';
+
+const STEP_MS = 30 * 1000;
+
+test('codes are accepted one step either side of now, and no further', () => {
+  const secret = generateSecret();
+  const now = Date.now();
+  const step = timeStep(now);
+  for (const offset of [-1, 0, 1]) assert.equal(verifyTotp(secret, hotp(secret, step + offset), now), step + offset);
+  for (const offset of [-2, 2]) assert.equal(verifyTotp(secret, hotp(secret, step + offset), now), null);
+  assert.equal(verifyTotp(secret, hotp(secret, step), now + 2 * STEP_MS), null);
+});
+
+test('only six digits count as a code', () => {
+  const secret = generateSecret();
+  const code = hotp(secret, timeStep());
+  assert.equal(verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`), timeStep());
+  for (const junk of ['', code.slice(0, 5), `${code}0`, 'abcdef']) assert.equal(verifyTotp(secret, junk), null);
+});
+
+let server;
+let twoFactor;
+let secret;
+let admin;
+
+before(async () => {
+  // No backoff between attempts, only the lockout
+  server = await startServer({ UBG_LOGIN_BACKOFF_BASE_SECONDS: '0', UBG_TRUST_PROXY: '1' });
+  const users = createUsers(server.config);
+  for (const username of ['admin', 'admin2']) {
+    await users.register(username, `${username} password`);
+    users.setStatus(username, 'active');
+    users.setRole(username, 'admin');
+  }
+  admin = users.findByUsername('admin');
+  twoFactor = createTwoFactor(server.config);
+  ({ secret } = twoFactor.startSetup(admin.id, 'admin'));
+  assert.ok(twoFactor.confirmSetup(admin.id, hotp(secret, timeStep() - 1)));
+});
+
+after(() => server.close());
+
+function request(ip, pathname, body) {
+  return server.request(pathname, { method: 'POST', body, headers: { 'X-Forwarded-For': ip, 'X-Client-Fingerprint': ip } });
+}
+
+async function challenge(ip, username = 'admin') {
+  const response = await request(ip, '/api/login', { username, password: `${username} password` });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.twoFactorRequired, true);
+  assert.equal(response.cookie, null);
+  return response.body.challenge;
+}
+
+test('a code from the app is good once', async () => {
+  const code = hotp(secret, timeStep());
+  const signedIn = await request('10.2.0.1', '/api/login/2fa', { challenge: await challenge('10.2.0.1'), code });
+  assert.equal(signedIn.status, 200);
+  assert.ok(signedIn.cookie);
+
+  const replayed = await request('10.2.0.1', '/api/login/2fa', { challenge: await challenge('10.2.0.1'), code });
+  assert.equal(replayed.status, 401);
+  assert.equal(replayed.body.error.code, 'invalid_otp');
+  // An older code than the one used is no better
+  assert.equal(twoFactor.verify(admin.id, hotp(secret, timeStep() - 1)), null);
+});
+
+test('a recovery code works once', async () => {
+  const recoveryCodes = twoFactor.regenerateRecoveryCodes(admin.id);
+  const body = async () => ({ challenge: await challenge('10.2.0.2'), code: recoveryCodes[0] });
+  assert.equal((await request('10.2.0.2', '/api/login/2fa', await body())).status, 200);
+  assert.equal((await request('10.2.0.2', '/api/login/2fa', await body())).status, 401);
+  assert.equal(twoFactor.status(admin.id).recoveryCodesLeft, recoveryCodes.length - 1);
+});
+
+test('a forged or expired challenge is refused', async () => {
+  const code = hotp(secret, timeStep() + 1);
+  const forged = await request('10.2.0.3', '/api/login/2fa', { challenge: 'e30.c2ln', code });
+  assert.equal(forged.status, 401);
+  assert.equal(forged.body.error.code, 'challenge_expired');
+});
+
+test('repeating the password step does not reset wrong codes', async () => {
+  // Someone who knows admin2's password but not the code, coming from many places
+  const { id } = createUsers(server.config).findByUsername('admin2');
+  const { secret: other } = twoFactor.startSetup(id, 'admin2');
+  twoFactor.confirmSetup(id, hotp(other, timeStep() - 1));
+  const right = hotp(other, timeStep() + 1);
+  const wrong = right === '000000' ? '000001' : '000000';
+
+  const statuses = [];
+  for (let i = 0; i < 7; i++) {
+    const ip = `10.3.0.${i}`;
+    statuses.push((await request(ip, '/api/login/2fa', { challenge: await challenge(ip, 'admin2'), code: wrong })).status);
+  }
+  assert.deepEqual(statuses, [401, 401, 401, 401, 401, 429, 429]);
+
+  // Even the right code waits out the lockout
+  const late = await request('10.3.0.9', '/api/login/2fa', { challenge: await challenge('10.3.0.9', 'admin2'), code: right });
+  assert.equal(late.status, 429);
+});
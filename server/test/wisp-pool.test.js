@@ -0,0 +1,143 @@
+// Browse's Wisp server pool (browse/scripts/wisp.mjs) against real mock
+// Wisp servers: probing, the automatic choice, the picker and failover.
+// The page's globals are stood in for; WebSocket needs Node 20's
+// --experimental-websocket, which `npm test` passes.
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { after, before, test } from 'node:test';
+
+const MOCK_WISP = new URL('../tools/mock-wisp.js', import.meta.url).pathname;
+const POOL = new URL('../../browse/scripts/wisp.mjs', import.meta.url);
+
+const SLOW = 'ws://127.0.0.1:18191/';
+const FAST = 'ws://127.0.0.1:18192/';
+const REFUSING = 'ws://127.0.0.1:18193/';
+// Nothing listens here
+const GONE = 'ws://127.0.0.1:18199/';
+
+const servers = new Map();
+const alerts = [];
+let pool;
+
+// Starts tools/mock-wisp.js and waits until it is listening
+function startMock(url, env = {}) {
+  const child = spawn(process.execPath, [MOCK_WISP], {
+    env: { ...process.env, MOCK_WISP_PORT: new URL(url).port, ...env },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  servers.set(url, child);
+  return new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`mock-wisp on ${url} exited with ${code}`)));
+    child.stdout.once('data', resolve);
+  });
+}
+
+function stopMock(url) {
+  const child = servers.get(url);
+  servers.delete(url);
+  return new Promise(resolve => {
+    child.removeAllListeners('exit');
+    child.once('exit', resolve);
+    child.kill();
+  });
+}
+
+function stateOf(url) {
+  return pool.wispState().endpoints.find(endpoint => endpoint.url === url);
+}
+
+before(async () => {
+  await Promise.all([
+    startMock(SLOW, { MOCK_WISP_DELAY_MS: '300' }),
+    startMock(FAST),
+    startMock(REFUSING, { MOCK_WISP_REFUSE: '1' }),
+  ]);
+
+  const saved = new Map();
+  globalThis.localStorage = {
+    getItem: key => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, String(value)),
+    removeItem: key => saved.delete(key),
+  };
+  // Enough of the DOM for rAlert(), which records what it would show
+  globalThis.document = {
+    hidden: false,
+    body: { appendChild() {} },
+    createElement: () => ({
+      style: {},
+      set innerHTML(html) {
+        alerts.push(html);
+      },
+      remove() {},
+    }),
+  };
+  globalThis.fetch = async () => ({
+    ok: true,
+    json: async () => ({ endpoints: [SLOW, FAST, REFUSING, GONE], probeIntervalSeconds: 60 }),
+  });
+  pool = await import(POOL);
+});
+
+after(() => Promise.all([...servers.keys()].map(stopMock)));
+
+test('probes every server and picks the fastest one up', async () => {
+  assert.equal(await pool.wispUrl(), FAST);
+  await pool.probeAll();
+
+  assert.equal(stateOf(FAST).status, 'up');
+  assert.equal(stateOf(SLOW).status, 'up');
+  assert.ok(stateOf(SLOW).latency >= 300, `slow server answered in ${stateOf(SLOW).latency} ms`);
+  assert.ok(stateOf(FAST).latency < stateOf(SLOW).latency);
+  for (const url of [REFUSING, GONE]) {
+    assert.equal(stateOf(url).status, 'down');
+    assert.equal(stateOf(url).latency, null);
+    assert.ok(stateOf(url).error);
+  }
+  assert.equal(pool.wispState().active, FAST);
+  assert.equal(pool.wispState().preferred, null);
+});
+
+test('a probe of a server that is not there fails', async () => {
+  await assert.rejects(pool.probe(GONE), /Can't connect|Connection closed/);
+});
+
+test('the picker uses the chosen server while it is up', async () => {
+  const seen = [];
+  const stop = pool.onWispChange(state => seen.push(state));
+  pool.setPreferred(SLOW);
+  stop();
+
+  assert.equal(await pool.wispUrl(), SLOW);
+  assert.deepEqual(seen.map(state => [state.active, state.preferred]), [[SLOW, SLOW]]);
+  assert.equal(localStorage.getItem('wispEndpoint'), SLOW);
+});
+
+test('a chosen server that is down gives way to the next one up after it', () => {
+  pool.setPreferred(REFUSING);
+  // GONE is down too, so the list wraps round to SLOW
+  assert.deepEqual([pool.wispState().active, pool.wispState().preferred], [SLOW, REFUSING]);
+  pool.setPreferred(null);
+  assert.equal(pool.wispState().preferred, null);
+});
+
+test('fails over when the server in use goes down, and says so', async () => {
+  pool.setPreferred(FAST);
+  assert.equal(await pool.wispUrl(), FAST);
+  alerts.length = 0;
+
+  await stopMock(FAST);
+  await pool.probeAll();
+
+  assert.equal(stateOf(FAST).status, 'down');
+  assert.equal(pool.wispState().active, SLOW);
+  assert.equal(pool.wispState().preferred, FAST);
+  assert.deepEqual(alerts, ['<p>127.0.0.1:18192 is down.<br>Switched to 127.0.0.1:18191.</p>']);
+});
+
+test('comes back to the chosen server once it answers again', async () => {
+  await startMock(FAST);
+  await pool.probeAll();
+  assert.equal(stateOf(FAST).status, 'up');
+  assert.equal(pool.wispState().active, FAST);
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// Offline stand-in for an OpenAI-compatible chat completions API, for
+// trying out /api/chat without a provider key:
+//
+//   npm run mock-ai                  # listens on http://127.0.0.1:8090
+//   UBG_AI_BASE_URL=http://127.0.0.1:8090/v1 npm start
+//
+// Replies are deterministic: the mock echoes the last user message and
+// reports how many turns it was sent. With `stream: true` the reply is
+// sent word by word as Server-Sent Events. A message containing "[error]"
+// makes it answer 500, "[slow]" delays the reply by three seconds and
+// "[cut]" drops the connection half way through a stream. When offered
+// tools it calls them like the built-in mock: "[games: <name>]" searches the
+// games and "[play: <id>]" opens one.
+import http from 'node:http';
+import { mockReply, mockToolCalls } from '../services/ai-providers.js';
+
+const port = Number(process.env.MOCK_AI_PORT) || 8090;
+
+function send(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) });
+  res.end(payload);
+}
+
+// Rough OpenAI-style usage numbers: one token per four characters
+function countTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const server = http.createServer(async (req, res) => {
+  if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+    return send(res, 404, { error: { message: 'Not found' } });
+  }
+
+  let body;
+  try {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (err) {
+    return send(res, 400, { error: { message: 'Invalid JSON' } });
+  }
+
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const text = messages.map(message => message.content).join('\n');
+  if (text.includes('[error]')) {
+    return send(res, 500, { error: { message: 'Mock upstream error' } });
+  }
+  if (text.includes('[slow]')) {
+    await sleep(3000);
+  }
+
+  const tools = (Array.isArray(body.tools) ? body.tools : []).map(tool => tool.function || {});
+  const toolCalls = mockToolCalls(messages, tools).map(call => ({
+    id: call.id,
+    type: 'function',
+    function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+  }));
+  if (toolCalls.length) return callTools(res, body, toolCalls);
+
+  const content = mockReply(messages);
+  const promptTokens = countTokens(text);
+  const completionTokens = countTokens(content);
+  const usage = {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+  if (body.stream) return streamReply(res, body, content, usage, text.includes('[cut]'));
+
+  send(res, 200, {
+    id: `mock-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: body.model || 'mock',
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage,
+  });
+});
+
+async function streamReply(res, body, content, usage, cut) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const base = { id: `mock-${Date.now()}`, object: 'chat.completion.chunk', model: body.model || 'mock' };
+  const words = content.match(/\S+\s*/g) || [];
+
+  for (const [i, word] of words.entries()) {
+    if (cut && i === Math.floor(words.length / 2)) return res.destroy();
+    const choice = { index: 0, delta: { content: word }, finish_reason: null };
+    res.write(`data: ${JSON.stringify({ ...base, choices: [choice] })}\n\n`);
+    await sleep(40);
+  }
+  const last = { index: 0, delta: {}, finish_reason: 'stop' };
+  res.write(`data: ${JSON.stringify({ ...base, choices: [last], usage })}\n\n`);
+  res.end('data: [DONE]\n\n');
+}
+
+// Tool calls come whole: one chunk when streaming, like most providers send them
+function callTools(res, body, toolCalls) {
+  const base = { id: `mock-${Date.now()}`, model: body.model || 'mock' };
+  if (!body.stream) {
+    return send(res, 200, {
+      ...base,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      choices: [{ index: 0, message: { role: 'assistant', content: null, tool_calls: toolCalls }, finish_reason: 'tool_calls' }],
+    });
+  }
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const pieces = toolCalls.map((call, index) => ({ index, ...call }));
+  const choice = { index: 0, delta: { role: 'assistant', tool_calls: pieces }, finish_reason: 'tool_calls' };
+  res.write(`data: ${JSON.stringify({ ...base, object: 'chat.completion.chunk', choices: [choice] })}\n\n`);
+  res.end('data: [DONE]\n\n');
+}
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Mock AI upstream listening on http://127.0.0.1:${port}/v1`);
+});
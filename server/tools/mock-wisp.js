@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// Local stand-in for a Wisp server, for trying out Browse's server pool
+// without relying on public hosts:
+//
+//   npm run mock-wisp                        # listens on ws://127.0.0.1:8091/
+//   MOCK_WISP_PORT=8092 npm run mock-wisp    # a second one
+//   UBG_WISP_ENDPOINTS=ws://127.0.0.1:8091/,ws://127.0.0.1:8092/ npm start
+//
+// It speaks enough of Wisp v1 to proxy TCP streams, so pages really load
+// through it. MOCK_WISP_DELAY_MS holds every handshake back to play a slow
+// server and MOCK_WISP_REFUSE=1 turns connections away with a 503 to play a
+// broken one; stopping it shows Browse failing over to the next server.
+import crypto from 'node:crypto';
+import http from 'node:http';
+import net from 'node:net';
+
+const port = Number(process.env.MOCK_WISP_PORT) || 8091;
+const delayMs = Number(process.env.MOCK_WISP_DELAY_MS) || 0;
+const refuse = ['1', 'true'].includes(process.env.MOCK_WISP_REFUSE);
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+const PACKET = { connect: 0x01, data: 0x02, continue: 0x03, close: 0x04 };
+const CLOSE_REASON = { voluntary: 0x02, networkError: 0x03, invalid: 0x41, unreachable: 0x42, refused: 0x44 };
+// Packets a client may send on a stream before it has to wait for CONTINUE
+const BUFFER_SIZE = 128;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
+
+// A single unmasked WebSocket frame, as servers send them
+function frame(opcode, payload) {
+  let head;
+  if (payload.length < 126) {
+    head = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    head = Buffer.alloc(4);
+    head.writeUInt16BE(payload.length, 2);
+    head[1] = 126;
+  } else {
+    head = Buffer.alloc(10);
+    head.writeBigUInt64BE(BigInt(payload.length), 2);
+    head[1] = 127;
+  }
+  head[0] = 0x80 | opcode;
+  return Buffer.concat([head, payload]);
+}
+
+// Calls onMessage(opcode, payload) for every complete message in the stream
+// of client frames, joining fragments and unmasking payloads
+function createFrameReader(onMessage) {
+  let pending = Buffer.alloc(0);
+  let fragments = null;
+
+  return chunk => {
+    pending = Buffer.concat([pending, chunk]);
+    while (pending.length >= 2) {
+      const fin = pending[0] & 0x80;
+      const opcode = pending[0] & 0x0f;
+      const masked = pending[1] & 0x80;
+      let length = pending[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (pending.length < 4) return;
+        length = pending.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (pending.length < 10) return;
+        length = Number(pending.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const mask = masked ? pending.subarray(offset, offset + 4) : null;
+      if (masked) offset += 4;
+      if (pending.length < offset + length) return;
+
+      const payload = Buffer.from(pending.subarray(offset, offset + length));
+      if (mask) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      }
+      pending = pending.subarray(offset + length);
+
+      if (opcode === OPCODE.continuation && fragments) {
+        fragments.parts.push(payload);
+        if (fin) {
+          onMessage(fragments.opcode, Buffer.concat(fragments.parts));
+          fragments = null;
+        }
+      } else if (!fin && opcode < OPCODE.close) {
+        fragments = { opcode, parts: [payload] };
+      } else {
+        onMessage(opcode, payload);
+      }
+    }
+  };
+}
+
+function closeReason(err) {
+  if (err.code === 'ECONNREFUSED') return CLOSE_REASON.refused;
+  if (err.code === 'ENOTFOUND' || err.code === 'EAI_AGAIN') return CLOSE_REASON.unreachable;
+  return CLOSE_REASON.networkError;
+}
+
+// One Wisp connection: TCP streams multiplexed over the WebSocket
+function serveWisp(ws) {
+  const streams = new Map();
+
+  function send(type, id, payload = Buffer.alloc(0)) {
+    if (ws.destroyed) return;
+    const head = Buffer.alloc(5);
+    head[0] = type;
+    head.writeUInt32LE(id, 1);
+    ws.write(frame(OPCODE.binary, Buffer.concat([head, payload])));
+  }
+
+  function closeStream(id, reason) {
+    const stream = streams.get(id);
+    if (!stream) return;
+    streams.delete(id);
+    stream.socket.destroy();
+    if (reason !== undefined) send(PACKET.close, id, Buffer.from([reason]));
+  }
+
+  function connect(id, body) {
+    if (body.length < 4 || body[0] !== 0x01) {
+      // Only TCP streams: UDP is optional in Wisp and nothing here needs it
+      return send(PACKET.close, id, Buffer.from([CLOSE_REASON.invalid]));
+    }
+    const socket = net.connect(body.readUInt16LE(1), body.subarray(3).toString('utf8'));
+    streams.set(id, { socket, received: 0 });
+    socket.on('data', chunk => send(PACKET.data, id, chunk));
+    socket.on('error', err => closeStream(id, closeReason(err)));
+    socket.on('close', () => closeStream(id, CLOSE_REASON.voluntary));
+  }
+
+  function receive(id, body) {
+    const stream = streams.get(id);
+    if (!stream) return;
+    // Hand the client a fresh buffer once half of it has been written out
+    stream.socket.write(body, () => {
+      stream.received += 1;
+      if (stream.received >= BUFFER_SIZE / 2 && streams.has(id)) {
+        stream.received = 0;
+        send(PACKET.continue, id, uint32(BUFFER_SIZE));
+      }
+    });
+  }
+
+  const read = createFrameReader((opcode, payload) => {
+    if (opcode === OPCODE.close) {
+      ws.end(frame(OPCODE.close, payload.subarray(0, 2)));
+      return;
+    }
+    if (opcode === OPCODE.ping) return ws.write(frame(OPCODE.pong, payload));
+    if (opcode !== OPCODE.binary || payload.length < 5) return;
+
+    const id = payload.readUInt32LE(1);
+    const body = payload.subarray(5);
+    if (payload[0] === PACKET.connect) connect(id, body);
+    else if (payload[0] === PACKET.data) receive(id, body);
+    else if (payload[0] === PACKET.close) closeStream(id);
+  });
+
+  ws.on('data', read);
+  ws.on('error', () => ws.destroy());
+  ws.on('close', () => {
+    for (const id of [...streams.keys()]) closeStream(id);
+  });
+  // Wisp servers open with the buffer size every stream starts with
+  send(PACKET.continue, 0, uint32(BUFFER_SIZE));
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Wisp needs a WebSocket connection\n');
+});
+
+server.on('upgrade', async (req, socket) => {
+  socket.on('error', () => socket.destroy());
+  if (delayMs) await sleep(delayMs);
+  const key = req.headers['sec-websocket-key'];
+  if (refuse || !key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+    return socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+  serveWisp(socket);
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Mock Wisp server listening on ws://127.0.0.1:${port}/`);
+});
@@ -0,0 +1,291 @@
+// Shared auth guard, loaded by every section of the site.
+//
+//   <script src="/shared/auth.js" data-auth="required"></script>  protected pages
+//   <script src="/shared/auth.js" data-auth="guest"></script>     landing, join and activation pages
+//
+// Protected pages are checked against the server on load and again every
+// minute (and whenever the tab regains focus). Shortly before the session
+// runs out a warning offers to extend it; if it ends mid-visit anyway, a
+// re-login prompt covers the page instead of silently bouncing the user.
+// The page they were on is remembered so activation or sign-in can send
+// them back there rather than to /home.
+(function () {
+  const script = document.currentScript;
+  const mode = (script && script.dataset.auth) || 'required';
+
+  const RETURN_KEY = 'ubg_return_to';
+  const CHECK_INTERVAL = 60 * 1000;
+  const WARN_BEFORE = 15 * 60 * 1000;
+
+  let session = null;
+  let promptShown = false;
+  let warning = null;
+
+  // Only same-site paths, so ?next= cannot be used to redirect elsewhere.
+  // Resolved the way the browser will resolve it, which drops tabs and
+  // newlines and reads a backslash as a slash: "/\t/evil.com" is "//evil.com".
+  function isSafePath(path) {
+    if (typeof path !== 'string' || !path.startsWith('/')) return false;
+    try {
+      return new URL(path, location.origin).origin === location.origin;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function currentPath() {
+    return location.pathname + location.search + location.hash;
+  }
+
+  function rememberReturnTo(path = currentPath()) {
+    if (isSafePath(path)) sessionStorage.setItem(RETURN_KEY, path);
+  }
+
+  // Where to go after activating or signing in; defaults to /home
+  function takeReturnTo() {
+    const path = sessionStorage.getItem(RETURN_KEY);
+    sessionStorage.removeItem(RETURN_KEY);
+    return isSafePath(path) ? path : '/home';
+  }
+
+  // Random id kept per browser, so the server can throttle this browser
+  // separately from others sharing the same IP
+  function clientFingerprint() {
+    let id = localStorage.getItem('ubg_client_id');
+    if (!id) {
+      id = crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2);
+      localStorage.setItem('ubg_client_id', id);
+    }
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return [id, `${screen.width}x${screen.height}`, timeZone, navigator.language].join('|');
+  }
+
+  // Resolves to the session, null when signed out, or undefined when the
+  // server could not be reached (treated as "unknown", never as signed out).
+  // Background checks pass `poll` so they do not count as activity for
+  // the server's sliding renewal.
+  async function check({ poll = false } = {}) {
+    try {
+      const url = poll ? '/api/session?poll=1' : '/api/session';
+      const response = await fetch(url, { credentials: 'same-origin', cache: 'no-store' });
+      if (response.status === 401) {
+        session = null;
+        return null;
+      }
+      if (!response.ok) return undefined;
+      session = await response.json();
+      return session;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  // "Stay signed in": push the expiry out again without leaving the page
+  async function renew() {
+    const response = await fetch('/api/session/renew', { method: 'POST', credentials: 'same-origin' });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error?.message || `Error: ${response.status}`);
+    session = { ...session, ...data };
+    return session;
+  }
+
+  // Time left as "3 days", "5 hours" or "12 minutes"
+  function formatRemaining(ms) {
+    const minutes = Math.max(0, Math.round(ms / 60000));
+    const units = [['day', 24 * 60], ['hour', 60], ['minute', 1]];
+    const [name, size] = units.find(([, size]) => minutes >= size) || units[2];
+    const count = Math.floor(minutes / size);
+    return `${count} ${name}${count === 1 ? '' : 's'}`;
+  }
+
+  async function logout() {
+    try {
+      await fetch('/api/logout', { method: 'POST', credentials: 'same-origin' });
+    } catch (error) {}
+    sessionStorage.removeItem(RETURN_KEY);
+    window.location.href = '/';
+  }
+
+  function injectStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .ubg-auth-overlay {
+        position: fixed; inset: 0; z-index: 100000;
+        display: flex; align-items: center; justify-content: center;
+        background: rgba(10, 14, 39, 0.8); backdrop-filter: blur(6px);
+        font-family: 'Inter', sans-serif;
+      }
+      .ubg-auth-card {
+        width: min(92vw, 380px); padding: 32px 28px; border-radius: 20px; text-align: center;
+        background: rgba(20, 25, 45, 0.95); border: 1px solid rgba(127, 90, 240, 0.3);
+        box-shadow: 0 8px 32px rgba(127, 90, 240, 0.25); color: #a0b0c0;
+      }
+      .ubg-auth-card h2 {
+        margin: 0 0 10px; font-size: 1.5em; font-weight: 800;
+        background: linear-gradient(120deg, #7f5af0 0%, #36cce4 100%);
+        -webkit-background-clip: text; -webkit-text-fill-color: transparent; background-clip: text;
+      }
+      .ubg-auth-card p { margin: 0 0 22px; line-height: 1.5; }
+      .ubg-auth-card button {
+        width: 100%; margin-top: 10px; padding: 12px 20px; border-radius: 12px;
+        font: 600 1em 'Inter', sans-serif; cursor: pointer;
+      }
+      .ubg-auth-primary {
+        border: none; color: #fff; background: linear-gradient(120deg, #7f5af0 0%, #36cce4 100%);
+      }
+      .ubg-auth-secondary {
+        color: #a0b0c0; background: rgba(255, 255, 255, 0.05); border: 1.5px solid rgba(127, 90, 240, 0.3);
+      }
+      .ubg-auth-warning {
+        position: fixed; right: 16px; bottom: 16px; z-index: 99998;
+        width: min(92vw, 320px); padding: 16px 18px; border-radius: 14px;
+        background: rgba(20, 25, 45, 0.95); border: 1px solid rgba(127, 90, 240, 0.4);
+        box-shadow: 0 8px 32px rgba(127, 90, 240, 0.25);
+        font: 500 0.92em/1.5 'Inter', sans-serif; color: #a0b0c0;
+      }
+      .ubg-auth-warning button {
+        width: 100%; margin-top: 10px; padding: 10px 16px; border-radius: 10px;
+        font: 600 0.95em 'Inter', sans-serif; cursor: pointer;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Shown when the session ends while a protected page is open
+  function showExpiredPrompt() {
+    if (promptShown) return;
+    promptShown = true;
+    rememberReturnTo();
+    injectStyles();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'ubg-auth-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+
+    const card = document.createElement('div');
+    card.className = 'ubg-auth-card';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Session expired';
+    const text = document.createElement('p');
+    text.textContent = 'Your access has ended. Activate or sign in again to pick up where you left off.';
+
+    const activate = document.createElement('button');
+    activate.className = 'ubg-auth-primary';
+    activate.textContent = 'Activate again';
+    activate.onclick = () => { window.location.href = '/activate'; };
+
+    const signIn = document.createElement('button');
+    signIn.className = 'ubg-auth-secondary';
+    signIn.textContent = 'Sign in';
+    signIn.onclick = () => { window.location.href = '/join'; };
+
+    card.append(title, text, activate, signIn);
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+    activate.focus();
+  }
+
+  // Corner card shown once less than WARN_BEFORE is left. If the server
+  // will not extend the session further it offers to sign in again instead.
+  function updateExpiryWarning() {
+    if (!document.body) {
+      document.addEventListener('DOMContentLoaded', updateExpiryWarning, { once: true });
+      return;
+    }
+    const left = session ? session.expiresAt - Date.now() : Infinity;
+    if (left > WARN_BEFORE || promptShown) {
+      if (warning) warning.hidden = true;
+      return;
+    }
+
+    if (!warning) {
+      injectStyles();
+      warning = document.createElement('div');
+      warning.className = 'ubg-auth-warning';
+      warning.setAttribute('role', 'alert');
+      document.body.appendChild(warning);
+    }
+    const canRenew = session.maxExpiresAt > session.expiresAt;
+    warning.textContent = canRenew
+      ? `Your access ends in ${formatRemaining(left)}.`
+      : `Your access ends in ${formatRemaining(left)} and cannot be extended. Sign in again to keep going.`;
+
+    const button = document.createElement('button');
+    button.className = 'ubg-auth-primary';
+    button.textContent = canRenew ? 'Stay signed in' : 'Sign in again';
+    button.onclick = async () => {
+      if (!canRenew) {
+        rememberReturnTo();
+        window.location.href = session.user ? '/join' : '/activate';
+        return;
+      }
+      button.disabled = true;
+      try {
+        await renew();
+        updateExpiryWarning();
+      } catch (error) {
+        button.disabled = false;
+        warning.firstChild.textContent = error.message;
+      }
+    };
+    warning.appendChild(button);
+    warning.hidden = false;
+  }
+
+  async function guardRequired() {
+    const result = await check();
+    if (result === null) {
+      rememberReturnTo();
+      window.location.href = '/';
+      return null;
+    }
+
+    async function recheck() {
+      if (promptShown) return;
+      if ((await check({ poll: true })) === null) showExpiredPrompt();
+      updateExpiryWarning();
+    }
+
+    // A timeout chain rather than setInterval: the Browse page clears and
+    // filters intervals (see browse/scripts/lstimer.js)
+    function scheduleRecheck() {
+      setTimeout(async () => {
+        await recheck();
+        if (!promptShown) scheduleRecheck();
+      }, CHECK_INTERVAL);
+    }
+
+    scheduleRecheck();
+    updateExpiryWarning();
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') recheck();
+    });
+    return result;
+  }
+
+  async function guardGuest() {
+    // The server sends visitors of protected pages here with ?next=<path>
+    const next = new URLSearchParams(location.search).get('next');
+    if (next) rememberReturnTo(next);
+
+    const result = await check();
+    if (result) window.location.href = takeReturnTo();
+    return result;
+  }
+
+  window.UBGAuth = {
+    // Resolves once the first session check has finished
+    ready: mode === 'guest' ? guardGuest() : guardRequired(),
+    get session() { return session; },
+    check,
+    renew,
+    formatRemaining,
+    logout,
+    rememberReturnTo,
+    takeReturnTo,
+    clientFingerprint,
+    showExpiredPrompt,
+  };
+})();
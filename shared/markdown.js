@@ -0,0 +1,490 @@
+// Markdown renderer for AI replies:
+//
+//   <script src="/shared/markdown.js"></script>
+//   element.replaceChildren(UBGMarkdown.render(text));
+//
+// Supports paragraphs, headings, lists, block quotes, tables, links, inline
+// formatting and fenced code blocks with syntax highlighting and a copy
+// button. Model output is untrusted: every piece of text is escaped while
+// the HTML is built, and the result then goes through an allowlist
+// sanitizer before it reaches the page, so raw HTML in a reply only ever
+// shows up as text.
+(function () {
+  const ALLOWED_TAGS = new Set([
+    'P', 'BR', 'STRONG', 'EM', 'DEL', 'CODE', 'PRE', 'A', 'UL', 'OL', 'LI', 'BLOCKQUOTE',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD', 'SPAN',
+  ]);
+  // Dropped together with their contents rather than kept as text
+  const DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH']);
+  const ALLOWED_ATTRIBUTES = {
+    A: { href: isSafeUrl },
+    CODE: { class: value => /^language-[\w+#.-]+$/.test(value) },
+    SPAN: { class: value => /^hl-[a-z]+$/.test(value) },
+    OL: { start: value => /^\d{1,9}$/.test(value) },
+    TH: { class: value => /^md-align-(left|center|right)$/.test(value) },
+    TD: { class: value => /^md-align-(left|center|right)$/.test(value) },
+  };
+
+  let stylesInjected = false;
+
+  function escape(text) {
+    return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+  }
+
+  // Web and mail links, plus same-site paths; never javascript: or data:
+  function isSafeUrl(url) {
+    return /^(https?:\/\/|mailto:)/i.test(url) || (url.startsWith('/') && !url.startsWith('//')) || url.startsWith('#');
+  }
+
+  // --- Syntax highlighting -------------------------------------------------
+
+  const C_LIKE_KEYWORDS = 'break case catch class const continue default do else enum extends final finally for goto if implements import interface new package private protected public return static struct super switch this throw throws try void while';
+  const LANGUAGES = {
+    js: {
+      comments: [/\/\/.*/, /\/\*[\s\S]*?\*\//],
+      strings: [/`(?:\\[\s\S]|[^\\`])*`/, /"(?:\\.|[^\\"\n])*"/, /'(?:\\.|[^\\'\n])*'/],
+      keywords: 'async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while yield type interface enum implements readonly',
+      literals: 'true false null undefined NaN Infinity',
+    },
+    python: {
+      comments: [/#.*/],
+      strings: [/"""[\s\S]*?"""/, /'''[\s\S]*?'''/, /[rbfu]?"(?:\\.|[^\\"\n])*"/i, /[rbfu]?'(?:\\.|[^\\'\n])*'/i],
+      keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case',
+      literals: 'True False None self',
+    },
+    bash: {
+      comments: [/(?:^|\s)#.*/],
+      strings: [/"(?:\\.|[^\\"])*"/, /'[^']*'/],
+      keywords: 'if then else elif fi for in do done while until case esac function return local export exit echo cd sudo set unset source',
+      literals: 'true false',
+    },
+    json: {
+      comments: [],
+      strings: [/"(?:\\.|[^\\"\n])*"/],
+      keywords: '',
+      literals: 'true false null',
+    },
+    css: {
+      comments: [/\/\*[\s\S]*?\*\//],
+      strings: [/"(?:\\.|[^\\"\n])*"/, /'(?:\\.|[^\\'\n])*'/],
+      keywords: 'important media import keyframes from to supports',
+      literals: '',
+    },
+    html: {
+      comments: [/<!--[\s\S]*?-->/],
+      strings: [/"[^"]*"/, /'[^']*'/],
+      keywords: '',
+      literals: '',
+      tags: true,
+    },
+    sql: {
+      comments: [/--.*/, /\/\*[\s\S]*?\*\//],
+      strings: [/'(?:''|[^'])*'/],
+      keywords: 'select from where and or not insert into values update set delete create table drop alter index join left right inner outer on as group by order having limit offset distinct union all primary key references default null is in like between case when then else end',
+      literals: 'true false null',
+      ignoreCase: true,
+    },
+    clike: {
+      comments: [/\/\/.*/, /\/\*[\s\S]*?\*\//, /^\s*#\s*\w+.*/m],
+      strings: [/"(?:\\.|[^\\"\n])*"/, /'(?:\\.|[^\\'\n])*'/, /`[^`]*`/],
+      keywords: C_LIKE_KEYWORDS + ' auto bool char double float fn func go int let long match mut namespace pub self short signed unsigned use using var impl trait defer chan map range select type sizeof typedef template virtual override',
+      literals: 'true false null nil nullptr None',
+    },
+  };
+  const ALIASES = {
+    javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', mjs: 'js', cjs: 'js', node: 'js',
+    py: 'python', python3: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', shellscript: 'bash',
+    xml: 'html', svg: 'html', vue: 'html',
+    scss: 'css', less: 'css',
+    c: 'clike', cpp: 'clike', 'c++': 'clike', h: 'clike', java: 'clike', cs: 'clike', csharp: 'clike',
+    go: 'clike', golang: 'clike', rust: 'clike', rs: 'clike', php: 'clike', kotlin: 'clike', swift: 'clike',
+  };
+  const compiled = {};
+
+  function languageFor(name) {
+    const key = (name || '').toLowerCase();
+    const id = LANGUAGES[key] ? key : ALIASES[key];
+    if (!id) return null;
+    if (!compiled[id]) {
+      const language = LANGUAGES[id];
+      const group = patterns => patterns.length ? '(' + patterns.map(pattern => pattern.source).join('|') + ')' : '((?!))';
+      compiled[id] = {
+        tags: Boolean(language.tags),
+        ignoreCase: Boolean(language.ignoreCase),
+        keywords: new Set(language.keywords.split(' ').filter(Boolean)),
+        literals: new Set(language.literals.split(' ').filter(Boolean)),
+        pattern: new RegExp([
+          group(language.comments),
+          group(language.strings),
+          language.tags ? '(<\\/?[\\w:-]+|\\/?>)' : '((?!))',
+          '(\\b(?:0x[\\da-f]+|\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?)\\b)',
+          '([A-Za-z_$@][\\w$]*)',
+        ].join('|'), 'gmi'),
+      };
+    }
+    return compiled[id];
+  }
+
+  function span(kind, text) {
+    return `<span class="hl-${kind}">${escape(text)}</span>`;
+  }
+
+  // Escaped code with <span class="hl-*"> around comments, strings,
+  // numbers and keywords; unknown languages are only escaped
+  function highlight(code, name) {
+    const language = languageFor(name);
+    if (!language) return escape(code);
+
+    let html = '';
+    let last = 0;
+    language.pattern.lastIndex = 0;
+    for (let match; (match = language.pattern.exec(code));) {
+      if (!match[0]) {
+        language.pattern.lastIndex++;
+        continue;
+      }
+      const [token, comment, string, tag, number, word] = match;
+      html += escape(code.slice(last, match.index));
+      last = match.index + token.length;
+
+      if (comment) html += span('comment', comment);
+      else if (string) html += span('string', string);
+      else if (tag) html += span('keyword', tag);
+      else if (number) html += span('number', number);
+      else {
+        const key = language.ignoreCase ? word.toLowerCase() : word;
+        if (language.keywords.has(key)) html += span('keyword', word);
+        else if (language.literals.has(key)) html += span('literal', word);
+        else if (!language.tags && code[last] === '(') html += span('function', word);
+        else html += escape(word);
+      }
+    }
+    return html + escape(code.slice(last));
+  }
+
+  // --- Inline formatting ---------------------------------------------------
+
+  function inline(text) {
+    // Code spans and links are set aside first so emphasis rules cannot
+    // reach into them, then put back once the rest has been escaped
+    const held = [];
+    const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+
+    let out = text
+      .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${escape(code.trim())}</code>`))
+      .replace(/\[([^\]\n]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (whole, label, url) => {
+        return isSafeUrl(url) ? hold(`<a href="${escape(url)}">${emphasis(escape(label))}</a>`) : whole;
+      })
+      .replace(/\bhttps?:\/\/[^\s<>"]*[^\s<>".,:;!?'")\]]/g, url => hold(`<a href="${escape(url)}">${escape(url)}</a>`));
+
+    // Held links can themselves hold code spans
+    const restore = html => html.replace(/\u0000(\d+)\u0000/g, (_, index) => restore(held[index]));
+    return restore(emphasis(escape(out)).replace(/\n/g, '<br>'));
+  }
+
+  function emphasis(html) {
+    return html
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+      .replace(/\*(?=[^\s*])([^*])\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_]|[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+  }
+
+  // --- Blocks --------------------------------------------------------------
+
+  const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+  const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+  const RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+  const QUOTE = /^ {0,3}>\s?/;
+  const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+  function startsBlock(line, next) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+      LIST_ITEM.test(line) || isTableStart(line, next);
+  }
+
+  function isTableStart(line, next) {
+    return line.includes('|') && next !== undefined && next.includes('|') && TABLE_DIVIDER.test(next);
+  }
+
+  function splitRow(line) {
+    const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+    return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  function table(lines, start) {
+    const header = splitRow(lines[start]);
+    const aligns = splitRow(lines[start + 1]).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+      if (cell.endsWith(':')) return 'right';
+      return cell.startsWith(':') ? 'left' : null;
+    });
+    const cell = (tag, text, column) => {
+      const align = aligns[column] ? ` class="md-align-${aligns[column]}"` : '';
+      return `<${tag}${align}>${inline(text || '')}</${tag}>`;
+    };
+
+    let i = start + 2;
+    const rows = [];
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+      const cells = splitRow(lines[i]);
+      rows.push('<tr>' + header.map((_, column) => cell('td', cells[column], column)).join('') + '</tr>');
+      i++;
+    }
+    const head = '<thead><tr>' + header.map((text, column) => cell('th', text, column)).join('') + '</tr></thead>';
+    return { html: `<table>${head}<tbody>${rows.join('')}</tbody></table>`, end: i };
+  }
+
+  function list(lines, start) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const match = lines[i].match(LIST_ITEM);
+      if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+      const body = [match[3]];
+      const contentIndent = match[1].length + match[2].length + 1;
+      i++;
+      // Indented lines (nested lists, code) and lazy continuations belong to the item
+      while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+          const next = lines.slice(i + 1).find(rest => rest.trim());
+          if (!next || next.search(/\S/) <= indent) break;
+          body.push('');
+        } else if (line.search(/\S/) > indent) {
+          body.push(line.slice(Math.min(contentIndent, line.search(/\S/))));
+        } else if (!startsBlock(line, lines[i + 1]) && body[body.length - 1] !== '') {
+          body.push(line.trim());
+        } else {
+          break;
+        }
+        i++;
+      }
+      items.push(`<li>${blocks(body)}</li>`);
+    }
+
+    const number = ordered ? parseInt(first[2], 10) : 1;
+    const open = ordered ? (number !== 1 ? `<ol start="${number}">` : '<ol>') : '<ul>';
+    return { html: open + items.join('') + (ordered ? '</ol>' : '</ul>'), end: i };
+  }
+
+  function blocks(lines) {
+    let html = '';
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const fence = line.match(FENCE);
+      if (fence) {
+        // An unclosed fence runs to the end, as it does mid-stream
+        const code = [];
+        i++;
+        while (i < lines.length && !(lines[i].trim().startsWith(fence[1][0].repeat(3)) && !lines[i].trim().replace(/[`~]/g, ''))) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        const language = fence[2] ? ` class="language-${escape(fence[2])}"` : '';
+        html += `<pre><code${language}>${highlight(code.join('\n'), fence[2])}</code></pre>`;
+        continue;
+      }
+
+      const heading = line.match(HEADING);
+      if (heading) {
+        const level = heading[1].length;
+        html += `<h${level}>${inline(heading[2])}</h${level}>`;
+        i++;
+        continue;
+      }
+
+      if (RULE.test(line)) {
+        html += '<hr>';
+        i++;
+        continue;
+      }
+
+      if (QUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !startsBlock(lines[i], lines[i + 1]))) {
+          quoted.push(lines[i].replace(QUOTE, ''));
+          i++;
+        }
+        html += `<blockquote>${blocks(quoted)}</blockquote>`;
+        continue;
+      }
+
+      if (isTableStart(line, lines[i + 1])) {
+        const result = table(lines, i);
+        html += result.html;
+        i = result.end;
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        const result = list(lines, i);
+        html += result.html;
+        i = result.end;
+        continue;
+      }
+
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1])) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      html += `<p>${inline(paragraph.join('\n'))}</p>`;
+    }
+    return html;
+  }
+
+  // --- Sanitizing and output -----------------------------------------------
+
+  // Keeps only allowlisted elements and attributes. Anything else is
+  // replaced by its text (or removed outright for script-like elements).
+  function sanitize(node) {
+    for (const child of [...node.childNodes]) {
+      if (child.nodeType === Node.TEXT_NODE) continue;
+      if (child.nodeType !== Node.ELEMENT_NODE || DROPPED_TAGS.has(child.tagName)) {
+        child.remove();
+        continue;
+      }
+      if (!ALLOWED_TAGS.has(child.tagName)) {
+        child.replaceWith(document.createTextNode(child.textContent));
+        continue;
+      }
+      const allowed = ALLOWED_ATTRIBUTES[child.tagName] || {};
+      for (const { name, value } of [...child.attributes]) {
+        if (!allowed[name] || !allowed[name](value)) child.removeAttribute(name);
+      }
+      sanitize(child);
+    }
+  }
+
+  function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      return navigator.clipboard.writeText(text);
+    }
+    // Older browsers and plain-http pages
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    const copied = document.execCommand('copy');
+    area.remove();
+    return copied ? Promise.resolve() : Promise.reject(new Error('Copy failed'));
+  }
+
+  function addCodeToolbar(pre) {
+    const code = pre.querySelector('code');
+    const language = ((code && code.className) || '').replace(/^language-/, '');
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'md-code';
+    const bar = document.createElement('div');
+    bar.className = 'md-code-bar';
+    const label = document.createElement('span');
+    label.textContent = language || 'code';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'md-copy';
+    button.textContent = 'Copy';
+    button.onclick = () => {
+      copyText(pre.textContent).then(
+        () => { button.textContent = 'Copied!'; },
+        () => { button.textContent = 'Copy failed'; }
+      );
+      setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    };
+    bar.append(label, button);
+
+    pre.replaceWith(wrapper);
+    wrapper.append(bar, pre);
+  }
+
+  function injectStyles() {
+    stylesInjected = true;
+    const style = document.createElement('style');
+    style.textContent = `
+      .ubg-md > :first-child { margin-top: 0; }
+      .ubg-md > :last-child { margin-bottom: 0; }
+      .ubg-md p, .ubg-md ul, .ubg-md ol, .ubg-md blockquote, .ubg-md table, .ubg-md .md-code { margin: 0.5em 0; }
+      .ubg-md h1, .ubg-md h2, .ubg-md h3, .ubg-md h4, .ubg-md h5, .ubg-md h6 {
+        margin: 0.7em 0 0.4em; color: #e0e6f0; line-height: 1.3;
+      }
+      .ubg-md h1 { font-size: 1.3em; } .ubg-md h2 { font-size: 1.2em; } .ubg-md h3 { font-size: 1.1em; }
+      .ubg-md h4, .ubg-md h5, .ubg-md h6 { font-size: 1em; }
+      .ubg-md strong { color: #e0e6f0; }
+      .ubg-md ul, .ubg-md ol { padding-left: 1.4em; }
+      .ubg-md li > p { margin: 0; }
+      .ubg-md li > ul, .ubg-md li > ol { margin: 0.2em 0; }
+      .ubg-md a { color: #36cce4; }
+      .ubg-md hr { border: none; border-top: 1px solid rgba(127, 90, 240, 0.3); margin: 0.8em 0; }
+      .ubg-md blockquote { padding-left: 0.8em; border-left: 3px solid rgba(127, 90, 240, 0.5); color: #8a9ab0; }
+      .ubg-md code {
+        font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', monospace; font-size: 0.9em;
+        padding: 0.1em 0.35em; border-radius: 4px; background: rgba(0, 0, 0, 0.3); color: #e0e6f0;
+      }
+      .ubg-md table { border-collapse: collapse; display: block; overflow-x: auto; max-width: 100%; }
+      .ubg-md th, .ubg-md td { padding: 4px 10px; border: 1px solid rgba(127, 90, 240, 0.25); text-align: left; }
+      .ubg-md th { background: rgba(127, 90, 240, 0.15); color: #e0e6f0; }
+      .ubg-md .md-align-center { text-align: center; }
+      .ubg-md .md-align-right { text-align: right; }
+      .ubg-md .md-code { border-radius: 8px; overflow: hidden; background: rgba(0, 0, 0, 0.35); }
+      .ubg-md .md-code-bar {
+        display: flex; justify-content: space-between; align-items: center;
+        padding: 4px 8px 4px 12px; font-size: 0.78em; color: #8a9ab0; background: rgba(127, 90, 240, 0.15);
+      }
+      .ubg-md .md-copy {
+        border: none; border-radius: 4px; padding: 2px 8px; cursor: pointer;
+        font: inherit; color: #e0e6f0; background: rgba(127, 90, 240, 0.3);
+      }
+      .ubg-md .md-copy:hover { background: rgba(127, 90, 240, 0.5); }
+      .ubg-md pre { margin: 0; padding: 10px 12px; overflow-x: auto; }
+      .ubg-md pre code { padding: 0; background: none; font-size: 0.85em; white-space: pre; }
+      .ubg-md .hl-comment { color: #6a7a8c; font-style: italic; }
+      .ubg-md .hl-string { color: #9ee493; }
+      .ubg-md .hl-number, .ubg-md .hl-literal { color: #f5a97f; }
+      .ubg-md .hl-keyword { color: #c3a6ff; }
+      .ubg-md .hl-function { color: #36cce4; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Render Markdown `text` to a DocumentFragment of sanitized nodes. Put
+   * it inside an element with the `ubg-md` class for the default styles.
+   */
+  function render(text) {
+    if (!stylesInjected) injectStyles();
+
+    const lines = String(text).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    const template = document.createElement('template');
+    template.innerHTML = blocks(lines);
+    sanitize(template.content);
+
+    template.content.querySelectorAll('a').forEach(link => {
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+    });
+    template.content.querySelectorAll('pre').forEach(addCodeToolbar);
+    return template.content;
+  }
+
+  window.UBGMarkdown = { render, sanitize, highlight };
+})();
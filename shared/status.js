@@ -0,0 +1,140 @@
+// Site status banner, loaded by every page:
+//
+//   <script src="/shared/status.js"></script>
+//
+// Shows the mode and message an admin set on the server (degraded or
+// maintenance) in a bar across the top of the page, and keeps it up to
+// date. Pages that need to react to the mode (activation and join) use
+// `UBGStatus.ready` and `UBGStatus.onChange`.
+(function () {
+  const CHECK_INTERVAL = 2 * 60 * 1000;
+  const DISMISS_KEY = 'ubg_status_dismissed';
+
+  let status = null;
+  let banner = null;
+  const listeners = [];
+
+  // Resolves to the status, or null when the server could not be reached
+  async function check() {
+    try {
+      // `poll` keeps these checks from counting as session activity
+      const response = await fetch('/api/status?poll=1', { cache: 'no-store' });
+      if (!response.ok) return null;
+      return await response.json();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function statusKey(value) {
+    return [value.mode, value.message, value.endsAt].join('|');
+  }
+
+  function formatEnd(ms) {
+    return new Date(ms).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function injectStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .ubg-status-banner {
+        position: fixed; top: 0; left: 0; right: 0; z-index: 99999;
+        display: flex; align-items: center; justify-content: center; gap: 12px;
+        padding: 10px 44px 10px 16px; text-align: center;
+        font: 500 0.92em/1.4 'Inter', sans-serif; color: #fff;
+        backdrop-filter: blur(6px);
+      }
+      .ubg-status-banner.degraded { background: rgba(200, 130, 20, 0.92); }
+      .ubg-status-banner.maintenance { background: rgba(200, 50, 60, 0.92); }
+      .ubg-status-banner strong { font-weight: 800; }
+      .ubg-status-close {
+        position: absolute; right: 10px; top: 50%; transform: translateY(-50%);
+        width: 28px; height: 28px; border: none; border-radius: 50%;
+        background: rgba(255, 255, 255, 0.15); color: #fff; font-size: 1.1em; cursor: pointer;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function render() {
+    const show = status && status.mode !== 'normal' && sessionStorage.getItem(DISMISS_KEY) !== statusKey(status);
+    if (!show) {
+      if (banner) banner.hidden = true;
+      return;
+    }
+
+    if (!banner) {
+      injectStyles();
+      banner = document.createElement('div');
+      banner.setAttribute('role', 'status');
+      document.body.appendChild(banner);
+    }
+    banner.className = 'ubg-status-banner ' + status.mode;
+    banner.textContent = '';
+
+    const label = document.createElement('strong');
+    label.textContent = status.mode === 'maintenance' ? '🛠️ Maintenance' : '⚠️ Degraded service';
+    const text = document.createElement('span');
+    text.textContent = status.message + (status.endsAt ? ` (until ${formatEnd(status.endsAt)})` : '');
+    banner.append(label, text);
+
+    // Maintenance stays up; a degraded notice can be hidden for this tab
+    if (status.mode !== 'maintenance') {
+      const close = document.createElement('button');
+      close.className = 'ubg-status-close';
+      close.setAttribute('aria-label', 'Dismiss');
+      close.textContent = '×';
+      close.onclick = () => {
+        sessionStorage.setItem(DISMISS_KEY, statusKey(status));
+        render();
+      };
+      banner.appendChild(close);
+    }
+    banner.hidden = false;
+  }
+
+  async function refresh() {
+    const next = await check();
+    if (!next) return status;
+    const changed = !status || statusKey(status) !== statusKey(next);
+    status = next;
+    if (changed) {
+      render();
+      listeners.forEach(listener => listener(status));
+    }
+    return status;
+  }
+
+  function onChange(listener) {
+    listeners.push(listener);
+    if (status) listener(status);
+  }
+
+  // A timeout chain rather than setInterval: the Browse page clears and
+  // filters intervals (see browse/scripts/lstimer.js)
+  function scheduleRefresh() {
+    setTimeout(async () => {
+      await refresh();
+      scheduleRefresh();
+    }, CHECK_INTERVAL);
+  }
+
+  function start() {
+    const first = refresh();
+    scheduleRefresh();
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') refresh();
+    });
+    return first;
+  }
+
+  window.UBGStatus = {
+    // Resolves once the first status check has finished
+    ready: document.body
+      ? start()
+      : new Promise(resolve => document.addEventListener('DOMContentLoaded', () => resolve(start()))),
+    get status() { return status; },
+    refresh,
+    onChange,
+  };
+})();